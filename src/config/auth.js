@@ -0,0 +1,101 @@
+/**
+ * Authentication & Authorization config
+ * API keys (machines), roles and per-collection permissions
+ */
+
+const ROLES = ['admin', 'staff', 'storefront', 'delivery', 'customer'];
+
+// Role assigned to users created through Google Sign-In
+const DEFAULT_USER_ROLE = 'customer';
+
+// Operations a route can require on a database/collection
+const OPERATIONS = ['read', 'create', 'update', 'delete', 'bulk', 'search'];
+
+/**
+ * Permissions by role
+ * Keys are "database/collection", "database/*" or "*"
+ * Values are the allowed operations ("*" = all)
+ */
+const ROLE_PERMISSIONS = {
+  admin: {
+    '*': ['*']
+  },
+  staff: {
+    'utiles/*': ['read', 'create', 'update', 'search']
+  },
+  storefront: {
+    'utiles/products': ['read'],
+    'utiles/orders': ['create']
+  },
+  delivery: {
+    'utiles/orders': ['read']
+  },
+  customer: {}
+};
+
+/**
+ * Parse API keys from environment
+ * Format: API_KEYS=role:key,role:key
+ * @returns {Array<{role: string, key: string}>}
+ */
+function parseApiKeys(raw = process.env.API_KEYS) {
+  if (!raw) return [];
+
+  return raw.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return {
+        role: entry.slice(0, separator).trim(),
+        key: entry.slice(separator + 1).trim()
+      };
+    })
+    .filter(({ role, key }) => {
+      if (!ROLES.includes(role) || !key) {
+        console.warn(`Auth: API key ignorada, rol inválido o key vacía (${role || 'sin rol'})`);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Parse admin emails from environment
+ * Format: ADMIN_EMAILS=ana@example.com,juan@example.com
+ * @returns {string[]} Lowercased emails
+ */
+function parseAdminEmails(raw = process.env.ADMIN_EMAILS) {
+  if (!raw) return [];
+  return raw.split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Check if a role can perform an operation on a database/collection
+ * @param {string} role - Role name
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @param {string} operation - One of OPERATIONS
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, database, collection, operation) {
+  const permissions = ROLE_PERMISSIONS[role];
+  if (!permissions) return false;
+
+  const candidates = [`${database}/${collection}`, `${database}/*`, '*'];
+
+  return candidates.some(key => {
+    const allowed = permissions[key];
+    return Array.isArray(allowed) && (allowed.includes('*') || allowed.includes(operation));
+  });
+}
+
+module.exports = {
+  ROLES,
+  OPERATIONS,
+  DEFAULT_USER_ROLE,
+  ROLE_PERMISSIONS,
+  parseApiKeys,
+  parseAdminEmails,
+  hasPermission
+};
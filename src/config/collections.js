@@ -0,0 +1,86 @@
+/**
+ * Collection Registry
+ * Databases and collections exposed through /api/:database/:collection
+ * Anything not listed here returns 404
+ */
+
+const ALL_OPERATIONS = ['read', 'create', 'update', 'delete', 'bulk', 'search'];
+
+/**
+ * Registry: { database: { collection: { operations, softDelete, retentionDays } } }
+ * operations: read | create | update | delete | bulk | search
+ * softDelete: DELETE moves documents to the trash (deletedAt/deletedBy) instead of removing them
+ * retentionDays: days in the trash before they are purged (default SOFT_DELETE_RETENTION_DAYS)
+ * updatableFields: the only fields PUT/PATCH may set or unset (default: any)
+ */
+const COLLECTIONS = {
+  utiles: {
+    products: {
+      operations: ALL_OPERATIONS,
+      softDelete: true,
+      retentionDays: 30
+    },
+    orders: {
+      operations: ['read', 'create', 'update', 'delete', 'search']
+    },
+    // Roles only change through PATCH /api/auth/users/:id (admin)
+    users: {
+      operations: ['read']
+    },
+    pushTokens: {
+      operations: ['read', 'delete']
+    },
+    inventoryMovements: {
+      operations: ['read', 'search']
+    },
+    customers: {
+      operations: ['read', 'create', 'update', 'search']
+    },
+    coupons: {
+      operations: ['read', 'create', 'update', 'delete', 'search']
+    },
+    couponRedemptions: {
+      operations: ['read', 'search']
+    },
+    // Amount, order and items are set when the refund is created
+    refunds: {
+      operations: ['read', 'update', 'search'],
+      updatableFields: ['status', 'note']
+    }
+  }
+};
+
+/**
+ * Get the registry entry for a database/collection
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @returns {object|null} Collection config or null if not registered
+ */
+function getCollectionConfig(database, collection) {
+  const collections = Object.prototype.hasOwnProperty.call(COLLECTIONS, database)
+    ? COLLECTIONS[database]
+    : null;
+  if (!collections || !Object.prototype.hasOwnProperty.call(collections, collection)) {
+    return null;
+  }
+  return collections[collection];
+}
+
+/**
+ * Check if an operation is enabled for a database/collection
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @param {string} operation - Operation name
+ * @returns {boolean} True if enabled
+ */
+function isOperationAllowed(database, collection, operation) {
+  const config = getCollectionConfig(database, collection);
+  return !!config && config.operations.includes(operation);
+}
+
+module.exports = {
+  COLLECTIONS,
+  ALL_OPERATIONS,
+  getCollectionConfig,
+  isOperationAllowed
+};
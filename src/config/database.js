@@ -93,6 +93,17 @@ function getCollection(dbName, collectionName) {
   return database.collection(collectionName);
 }
 
+/**
+ * Start a client session (for multi-document transactions)
+ * @returns {ClientSession} MongoDB session, must be ended by the caller
+ */
+function startSession() {
+  if (!client) {
+    throw new Error('Database not connected. Call connectToDatabase() first.');
+  }
+  return client.startSession();
+}
+
 /**
  * Close the database connection
  */
@@ -124,6 +135,7 @@ module.exports = {
   getDatabase,
   getDefaultDatabase,
   getCollection,
+  startSession,
   closeConnection,
   isConnected
 };
@@ -0,0 +1,102 @@
+/**
+ * MongoDB Index definitions
+ * Created on startup (createIndex is a no-op if the index already exists)
+ */
+
+const { getCollection } = require('./database');
+const { CODE_COLLATION } = require('../utils/coupons');
+
+const INDEXES = [
+  // Users: one document per Google account
+  { database: 'utiles', collection: 'users', key: { email: 1 }, options: { unique: true } },
+
+  // Sessions: removed by MongoDB once expired
+  { database: 'utiles', collection: 'sessions', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+  { database: 'utiles', collection: 'sessions', key: { refreshTokenHash: 1 } },
+  { database: 'utiles', collection: 'sessions', key: { userId: 1, revokedAt: 1 } },
+
+  // Idempotency keys: stored responses expire
+  { database: 'utiles', collection: 'idempotencyKeys', key: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+
+  // Products: stock movements look products up by refid
+  { database: 'utiles', collection: 'products', key: { refid: 1 } },
+
+  // Products: imports match rows without refid by sku
+  { database: 'utiles', collection: 'products', key: { sku: 1 }, options: { partialFilterExpression: { sku: { $type: 'string' } } } },
+
+  // Products: trash listing and purge
+  { database: 'utiles', collection: 'products', key: { deletedAt: 1 }, options: { partialFilterExpression: { deletedAt: { $type: 'date' } } } },
+
+  // Inventory ledger: movements by product, newest first
+  { database: 'utiles', collection: 'inventoryMovements', key: { refid: 1, createdAt: -1 } },
+
+  // Document revisions: one number per revision of each document, newest first
+  {
+    database: 'utiles',
+    collection: 'documentRevisions',
+    key: { collection: 1, documentId: 1, revision: -1 },
+    options: { unique: true }
+  },
+
+  // Customers: one document per email and per phone
+  {
+    database: 'utiles',
+    collection: 'customers',
+    key: { email: 1 },
+    options: { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+  },
+  {
+    database: 'utiles',
+    collection: 'customers',
+    key: { phone: 1 },
+    options: { unique: true, partialFilterExpression: { phone: { $type: 'string' } } }
+  },
+
+  // Coupons: codes are unique ignoring case and accents
+  {
+    database: 'utiles',
+    collection: 'coupons',
+    key: { code: 1 },
+    options: { unique: true, collation: CODE_COLLATION }
+  },
+
+  // Coupon redemptions: per-customer usage limits
+  { database: 'utiles', collection: 'couponRedemptions', key: { couponId: 1, customerKey: 1 } },
+
+  // Orders: human-readable numbers are unique (legacy orders without a string number are ignored)
+  {
+    database: 'utiles',
+    collection: 'orders',
+    key: { orderNumber: 1 },
+    options: { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } }
+  },
+
+  // Refunds: by order
+  { database: 'utiles', collection: 'refunds', key: { orderId: 1 } },
+
+  // Orders: customer history, newest first
+  { database: 'utiles', collection: 'orders', key: { customerId: 1, createdAt: -1 } },
+
+  // Orders: expired reservation sweep
+  { database: 'utiles', collection: 'orders', key: { 'reservation.status': 1, 'reservation.expiresAt': 1 } }
+];
+
+/**
+ * Ensure all indexes exist
+ * Errors are logged and do not stop the server
+ */
+async function ensureIndexes() {
+  for (const { database, collection, key, options = {} } of INDEXES) {
+    try {
+      await getCollection(database, collection).createIndex(key, options);
+    } catch (error) {
+      console.error(`Index error on ${database}/${collection}:`, error.message);
+    }
+  }
+  console.log(`Indexes ensured (${INDEXES.length})`);
+}
+
+module.exports = {
+  INDEXES,
+  ensureIndexes
+};
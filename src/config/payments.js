@@ -0,0 +1,33 @@
+/**
+ * Payments config
+ * Provider selection, webhook secret and checkout return URLs
+ */
+
+const PAYMENTS = {
+  // mercadopago | fake
+  provider: process.env.PAYMENT_PROVIDER || 'mercadopago',
+  currency: process.env.PAYMENT_CURRENCY || 'ARS',
+
+  // Secret shared with the provider to sign webhooks
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || '',
+
+  // Max age in seconds of a webhook signature (ts), older requests are rejected
+  webhookToleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300,
+
+  // Public URL of this API, used to build the webhook URL
+  publicUrl: (process.env.PUBLIC_API_URL || '').replace(/\/$/, ''),
+
+  // Where the checkout sends the buyer back
+  backUrls: {
+    success: process.env.PAYMENT_SUCCESS_URL || '',
+    failure: process.env.PAYMENT_FAILURE_URL || '',
+    pending: process.env.PAYMENT_PENDING_URL || ''
+  },
+
+  mercadoPago: {
+    accessToken: process.env.MP_ACCESS_TOKEN || '',
+    sandbox: process.env.MP_SANDBOX === 'true'
+  }
+};
+
+module.exports = PAYMENTS;
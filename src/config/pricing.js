@@ -0,0 +1,26 @@
+/**
+ * Pricing config
+ * Quantity discounts, shipping and order total tolerance
+ */
+
+const PRICING = {
+  // Discount by quantity of the same product (highest tier reached applies)
+  quantityDiscounts: [
+    { minQuantity: 12, percent: 10 },
+    { minQuantity: 6, percent: 5 }
+  ],
+
+  shipping: {
+    // Flat shipping cost per order
+    cost: parseFloat(process.env.SHIPPING_COST) || 0,
+    // Orders from this subtotal (after discounts) ship free (0 = never)
+    freeFrom: parseFloat(process.env.FREE_SHIPPING_FROM) || 0,
+    // Shipping methods that never pay shipping
+    freeMethods: ['pickup']
+  },
+
+  // Max difference accepted between the client total and the server total
+  totalTolerance: parseFloat(process.env.ORDER_TOTAL_TOLERANCE) || 1
+};
+
+module.exports = PRICING;
@@ -0,0 +1,113 @@
+/**
+ * Collection Schemas
+ * Server-side validation rules for documents written through the API
+ *
+ * Field rule options:
+ * - type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'date'
+ * - required: field must be present and not empty
+ * - min / max: numeric bounds (inclusive)
+ * - integer: number must be an integer
+ * - enum: list of allowed values
+ * - minItems: minimum array length
+ * - items: rule applied to each array element
+ * - properties: rules for nested object fields
+ */
+
+const SCHEMAS = {
+  'utiles/products': {
+    refid: { type: 'string', required: true },
+    sku: { type: 'string' },
+    stock: { type: 'number', required: true, integer: true, min: 0 },
+    precio: { type: 'number', required: true, min: 0 },
+    stockMinimo: { type: 'number', integer: true, min: 0 },
+    activo: { type: 'boolean' },
+    destacado: { type: 'boolean' }
+  },
+  'utiles/orders': {
+    items: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          refid: { type: 'string', required: true },
+          quantity: { type: 'number', required: true, integer: true, min: 1 }
+        }
+      }
+    },
+    customerName: { type: 'string' },
+    customerEmail: { type: 'string' },
+    customerPhone: { type: 'string' },
+    couponCode: { type: 'string' }
+  },
+  'utiles/customers': {
+    email: { type: 'string' },
+    phone: { type: 'string' },
+    name: { type: 'string' },
+    addresses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          street: { type: 'string', required: true },
+          city: { type: 'string' },
+          province: { type: 'string' },
+          postalCode: { type: 'string' },
+          notes: { type: 'string' }
+        }
+      }
+    },
+    contactPreferences: {
+      type: 'object',
+      properties: {
+        email: { type: 'boolean' },
+        whatsapp: { type: 'boolean' },
+        sms: { type: 'boolean' },
+        marketing: { type: 'boolean' }
+      }
+    }
+  },
+  'utiles/refunds': {
+    status: { type: 'string', enum: ['pending', 'completed', 'not_required'] },
+    note: { type: 'string' }
+  },
+  'utiles/coupons': {
+    code: { type: 'string', required: true },
+    type: { type: 'string', required: true, enum: ['percentage', 'fixed', 'buy_x_get_y'] },
+    value: { type: 'number', min: 0 },
+    maxDiscount: { type: 'number', min: 0 },
+    buyQuantity: { type: 'number', integer: true, min: 1 },
+    getQuantity: { type: 'number', integer: true, min: 1 },
+    minCartTotal: { type: 'number', min: 0 },
+    eligibility: {
+      type: 'object',
+      properties: {
+        refids: { type: 'array', items: { type: 'string' } },
+        categories: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    startsAt: { type: 'date' },
+    endsAt: { type: 'date' },
+    usageLimit: { type: 'number', integer: true, min: 0 },
+    perCustomerLimit: { type: 'number', integer: true, min: 0 },
+    usageCount: { type: 'number', integer: true, min: 0 },
+    active: { type: 'boolean' }
+  }
+};
+
+/**
+ * Get the schema for a database/collection
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @returns {object|null} Schema or null if the collection has none
+ */
+function getSchema(database, collection) {
+  return SCHEMAS[`${database}/${collection}`] || null;
+}
+
+module.exports = {
+  SCHEMAS,
+  getSchema
+};
@@ -0,0 +1,326 @@
+/**
+ * Auth Controller
+ * Google Sign-In login, session refresh, logout and current user
+ */
+
+const { ObjectId } = require('mongodb');
+const { OAuth2Client } = require('google-auth-library');
+const { getCollection } = require('../config/database');
+const { ROLES, DEFAULT_USER_ROLE, parseAdminEmails } = require('../config/auth');
+const { createSession, refreshSession, revokeSession, revokeUserSessions } = require('../utils/sessions');
+
+const DATABASE = 'utiles';
+const USERS_COLLECTION = 'users';
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+/**
+ * Public representation of a user
+ * @param {object} user - User document
+ * @returns {object} Safe user fields
+ */
+function toPublicUser(user) {
+  return {
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    picture: user.picture,
+    role: user.role,
+    lastLoginAt: user.lastLoginAt
+  };
+}
+
+/**
+ * Load a user by ID
+ * @param {string|ObjectId} userId - User ID
+ * @returns {Promise<object|null>} User document
+ */
+async function findUserById(userId) {
+  if (!ObjectId.isValid(userId)) return null;
+  const col = getCollection(DATABASE, USERS_COLLECTION);
+  return col.findOne({ _id: new ObjectId(userId) });
+}
+
+/**
+ * Login with a Google ID token
+ * POST /api/auth/google
+ * Body: { idToken }
+ */
+async function googleLogin(req, res, next) {
+  try {
+    const { idToken } = req.body || {};
+
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'idToken is required'
+      });
+    }
+
+    if (!process.env.GOOGLE_CLIENT_ID) {
+      return res.status(500).json({
+        success: false,
+        error: 'Google Sign-In is not configured'
+      });
+    }
+
+    let payload;
+    try {
+      const ticket = await googleClient.verifyIdToken({
+        idToken,
+        audience: process.env.GOOGLE_CLIENT_ID
+      });
+      payload = ticket.getPayload();
+    } catch (error) {
+      console.log('Auth: Google ID token inválido:', error.message);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid Google ID token'
+      });
+    }
+
+    if (!payload?.email || payload.email_verified === false) {
+      return res.status(401).json({
+        success: false,
+        error: 'Google account email is not verified'
+      });
+    }
+
+    const email = payload.email.toLowerCase();
+    const initialRole = parseAdminEmails().includes(email) ? 'admin' : DEFAULT_USER_ROLE;
+    const now = new Date();
+
+    const col = getCollection(DATABASE, USERS_COLLECTION);
+    const user = await col.findOneAndUpdate(
+      { email },
+      {
+        $set: {
+          email,
+          googleId: payload.sub,
+          name: payload.name || null,
+          picture: payload.picture || null,
+          lastLoginAt: now,
+          updatedAt: now
+        },
+        $setOnInsert: {
+          role: initialRole,
+          createdAt: now
+        },
+        $inc: { version: 1 }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    if (user.active === false) {
+      return res.status(403).json({
+        success: false,
+        error: 'User is disabled'
+      });
+    }
+
+    const session = await createSession(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    console.log(`Auth: login ${email} (${user.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        ...session,
+        user: toPublicUser(user)
+      },
+      message: 'Login successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Refresh the access token
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ */
+async function refresh(req, res, next) {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshToken is required'
+      });
+    }
+
+    const result = await refreshSession(refreshToken, findUserById);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const { user, ...session } = result;
+
+    res.json({
+      success: true,
+      data: {
+        ...session,
+        user: toPublicUser(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Logout (revoke the current session)
+ * POST /api/auth/logout
+ */
+async function logout(req, res, next) {
+  try {
+    if (req.auth.sessionId) {
+      await revokeSession(req.auth.sessionId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change the role of a user or enable/disable it (admin only)
+ * PATCH /api/auth/users/:id
+ * Body: { role, active }
+ * A change signs the user out everywhere: the new role applies from their next sign-in
+ */
+async function updateUser(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { role, active } = req.body || {};
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    if (role === undefined && active === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send role and/or active'
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'active must be a boolean'
+      });
+    }
+
+    // An admin cannot remove their own access
+    if (req.auth.type === 'token' && String(req.auth.id) === id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role or disable yourself'
+      });
+    }
+
+    const col = getCollection(DATABASE, USERS_COLLECTION);
+    const set = {
+      ...(role !== undefined && { role }),
+      ...(active !== undefined && { active }),
+      updatedAt: new Date()
+    };
+    const before = await col.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: set, $inc: { version: 1 } },
+      { returnDocument: 'before' }
+    );
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const user = { ...before, ...set, version: (before.version || 0) + 1 };
+
+    // Tokens carry the old role and sessions don't re-read active: revoke them all
+    const changed = (role !== undefined && role !== before.role)
+      || (active !== undefined && active !== (before.active !== false));
+    const sessionsRevoked = changed ? await revokeUserSessions(before._id) : 0;
+
+    console.log(`Auth: ${user.email} → role ${user.role}${user.active === false ? ' (disabled)' : ''}`);
+
+    res.json({
+      success: true,
+      data: { ...toPublicUser(user), active: user.active !== false },
+      meta: { sessionsRevoked },
+      message: 'User updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Current user
+ * GET /api/auth/me
+ */
+async function me(req, res, next) {
+  try {
+    // API keys and tokens without a user document
+    if (req.auth.type !== 'token' || !req.auth.sessionId) {
+      return res.json({
+        success: true,
+        data: {
+          type: req.auth.type,
+          id: req.auth.id,
+          role: req.auth.role,
+          name: req.auth.name
+        }
+      });
+    }
+
+    const user = await findUserById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  googleLogin,
+  refresh,
+  logout,
+  me,
+  updateUser
+};
@@ -0,0 +1,56 @@
+/**
+ * Cart Controller
+ * Quotes a cart with server prices and coupons, without creating an order
+ */
+
+const { validateDocument, ValidationError } = require('../utils/validation');
+const { getSchema } = require('../config/schemas');
+const { priceItems } = require('../utils/pricing');
+const {
+  getCustomerKey,
+  evaluateCoupon,
+  applyCouponToTotals,
+  describeCoupon
+} = require('../utils/coupons');
+
+/**
+ * Quote a cart
+ * POST /api/cart/quote
+ * Body: { items: [{ refid, quantity }], shippingMethod, couponCode, customerEmail, customerPhone }
+ * An invalid coupon does not fail the quote: it is returned with valid: false and a reason
+ */
+async function quote(req, res, next) {
+  try {
+    const data = req.body || {};
+    const { items: itemsRule } = getSchema('utiles', 'orders');
+
+    const errors = validateDocument({ items: data.items }, { items: itemsRule });
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const priced = await priceItems(data.items, { shippingMethod: data.shippingMethod });
+
+    let coupon = null;
+    if (data.couponCode) {
+      coupon = await evaluateCoupon(data.couponCode, priced, {
+        customerKey: getCustomerKey(data, req.auth)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        items: priced.items,
+        totals: applyCouponToTotals(priced.totals, coupon),
+        coupon: coupon ? describeCoupon(coupon) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  quote
+};
@@ -0,0 +1,207 @@
+/**
+ * Customer Controller
+ * Customer orders and lifetime stats, and the signed-in customer's profile
+ */
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/database');
+const cache = require('../cache/cacheManager');
+const { ApiError } = require('../middleware/errorHandler');
+const { assertValidDocument } = require('../utils/validation');
+const {
+  normalizeEmail,
+  normalizePhone,
+  findOrCreateCustomer,
+  getCustomerStats,
+  getCustomerOrders
+} = require('../utils/customers');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'customers';
+
+// Campos que el cliente puede editar de su propio perfil
+const EDITABLE_PROFILE_FIELDS = ['name', 'phone', 'addresses', 'contactPreferences'];
+
+/**
+ * Read page/limit query params
+ * @param {object} query - req.query
+ * @returns {{page: number, limit: number}} Pagination
+ */
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { page, limit };
+}
+
+/**
+ * Load a customer by ID from the route params
+ * @param {string} id - Customer ID
+ * @returns {Promise<object>} Customer
+ * @throws {ApiError} 400 invalid ID, 404 not found
+ */
+async function loadCustomer(id) {
+  if (!ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid customer ID format');
+  }
+  const customer = await getCollection(DATABASE, COLLECTION).findOne({ _id: new ObjectId(id) });
+  if (!customer) {
+    throw new ApiError(404, 'Customer not found');
+  }
+  return customer;
+}
+
+/**
+ * Customer of the signed-in user (created on first access)
+ * @param {object} req - Express request
+ * @returns {Promise<object>} Customer
+ * @throws {ApiError} 400 if the account has no email
+ */
+async function loadSignedInCustomer(req) {
+  const email = normalizeEmail(req.auth.email);
+  if (!email) {
+    throw new ApiError(400, 'Only signed-in customer accounts have a customer profile');
+  }
+  return findOrCreateCustomer({ email, name: req.auth.name });
+}
+
+/**
+ * Send a page of orders with the customer's lifetime stats
+ * @param {object} res - Express response
+ * @param {object} customer - Customer
+ * @param {object} query - req.query (page, limit)
+ * @param {string|null} email - Only orders placed with this email (signed-in customer)
+ */
+async function sendOrders(res, customer, query, email = null) {
+  const { page, limit } = getPagination(query);
+  const [{ orders, total }, stats] = await Promise.all([
+    getCustomerOrders(customer._id, { skip: (page - 1) * limit, limit, email }),
+    getCustomerStats(customer._id, { email })
+  ]);
+
+  res.json({
+    success: true,
+    data: orders,
+    meta: {
+      customerId: customer._id,
+      stats,
+      total,
+      count: orders.length,
+      page,
+      limit
+    }
+  });
+}
+
+/**
+ * Orders of a customer
+ * GET /api/customers/:id/orders?page=1&limit=20
+ */
+async function orders(req, res, next) {
+  try {
+    const customer = await loadCustomer(req.params.id);
+    await sendOrders(res, customer, req.query);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Customer with lifetime stats (order count, total spent, last order date)
+ * GET /api/customers/:id
+ */
+async function getOne(req, res, next) {
+  try {
+    const customer = await loadCustomer(req.params.id);
+    const stats = await getCustomerStats(customer._id);
+
+    res.json({
+      success: true,
+      data: { ...customer, stats }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Profile of the signed-in customer
+ * GET /api/customers/me
+ */
+async function me(req, res, next) {
+  try {
+    const customer = await loadSignedInCustomer(req);
+    // Orders linked by an unverified phone are not shown to the account
+    const stats = await getCustomerStats(customer._id, { email: customer.email });
+
+    res.json({
+      success: true,
+      data: { ...customer, stats }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update the signed-in customer's name, phone, saved addresses and contact preferences
+ * PATCH /api/customers/me
+ */
+async function updateMe(req, res, next) {
+  try {
+    const data = req.body || {};
+    const updates = {};
+    EDITABLE_PROFILE_FIELDS.forEach(field => {
+      if (field in data) updates[field] = data[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to update. Editable fields: ${EDITABLE_PROFILE_FIELDS.join(', ')}`
+      });
+    }
+
+    assertValidDocument(DATABASE, COLLECTION, updates, { partial: true });
+    if ('phone' in updates) {
+      updates.phone = normalizePhone(updates.phone);
+    }
+
+    const customer = await loadSignedInCustomer(req);
+    const updated = await getCollection(DATABASE, COLLECTION).findOneAndUpdate(
+      { _id: customer._id },
+      { $set: { ...updates, updatedAt: new Date() }, $inc: { version: 1 } },
+      { returnDocument: 'after' }
+    );
+
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Profile updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Orders of the signed-in customer
+ * GET /api/customers/me/orders?page=1&limit=20
+ */
+async function myOrders(req, res, next) {
+  try {
+    const customer = await loadSignedInCustomer(req);
+    await sendOrders(res, customer, req.query, customer.email);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getOne,
+  orders,
+  me,
+  updateMe,
+  myOrders
+};
@@ -4,10 +4,39 @@
  */
 
 const { ObjectId } = require('mongodb');
-const { getCollection } = require('../config/database');
+const { getCollection, startSession } = require('../config/database');
 const cache = require('../cache/cacheManager');
-const { handleStockOnStatusChange } = require('./orderController');
-const { sendNewOrderNotification } = require('../utils/pushNotification');
+const { ORDER_PROTECTED_FIELDS, changeOrderStatus, getStatusChangeContext, notifyLowStock } = require('./orderController');
+const { ApiError } = require('../middleware/errorHandler');
+const { getActor } = require('../middleware/auth');
+const { MOVEMENT_REASONS, recordMovements } = require('../utils/inventory');
+const { ValidationError, assertValidDocument, validateDocument } = require('../utils/validation');
+const { getSchema } = require('../config/schemas');
+const { guardFilter, guardPipeline, QUERY_MAX_TIME_MS } = require('../utils/queryGuard');
+const { EXPORT_FORMATS, CSV_DELIMITERS, streamDocuments } = require('../utils/spreadsheet');
+const { isSoftDelete, getRetentionDays, excludeDeleted, excludeDeletedFromPipeline } = require('../utils/trash');
+const { diffDocuments, recordRevisions, getRevisions, getDocumentAtRevision } = require('../utils/revisions');
+const {
+  VersionConflictError,
+  getVersion,
+  getETag,
+  getExpectedVersions,
+  versionFilter,
+  isNotModified
+} = require('../utils/versioning');
+
+// Exports: maximum rows and execution time (they read much more than a page)
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 50000;
+const EXPORT_MAX_TIME_MS = parseInt(process.env.EXPORT_MAX_TIME_MS) || 60000;
+
+// Bulk updates: maximum operations per request
+const BULK_MAX_OPERATIONS = parseInt(process.env.BULK_MAX_OPERATIONS) || 1000;
+
+// Delete by filter: maximum documents per request (they are read to record their revisions)
+const DELETE_MAX_DOCUMENTS = parseInt(process.env.DELETE_MAX_DOCUMENTS) || 1000;
+
+// Trash fields: only DELETE (trash) and POST /:id/restore change them
+const TRASH_FIELDS = ['deletedAt', 'deletedBy'];
 
 /**
  * Generate cache key from request
@@ -55,7 +84,8 @@ function parseQueryOptions(query) {
     sort: {},
     skip: 0,
     limit: 0,
-    projection: {}
+    projection: {},
+    includeDeleted: query.includeDeleted === 'true'
   };
 
   // Pagination
@@ -90,7 +120,7 @@ function parseQueryOptions(query) {
   }
 
   // Build filter from remaining query params
-  const reservedParams = ['page', 'limit', 'sort', 'fields'];
+  const reservedParams = ['page', 'limit', 'sort', 'fields', 'includeDeleted'];
   Object.keys(query).forEach(key => {
     if (!reservedParams.includes(key) && query[key] !== undefined) {
       const value = query[key];
@@ -122,9 +152,132 @@ function parseQueryOptions(query) {
     }
   });
 
+  // Reject dangerous operators ($where, $function, ...) coming from the query string
+  guardFilter(options.filter);
+
+  return options;
+}
+
+/**
+ * Hide trashed documents unless the client asked for them (?includeDeleted=true)
+ * @param {object} req - Express request (collectionConfig set by requireCollection)
+ * @param {object} options - Result of parseQueryOptions (filter is mutated)
+ * @returns {object} Options
+ */
+function applyTrashFilter(req, options) {
+  if (isSoftDelete(req.collectionConfig) && !options.includeDeleted) {
+    excludeDeleted(options.filter);
+  }
   return options;
 }
 
+/**
+ * Who made a write and in which request (stored with its revisions)
+ * @param {object} req - Express request
+ * @returns {object} { actor, requestId }
+ */
+function getRevisionContext(req) {
+  return { actor: getActor(req), requestId: req.id || null };
+}
+
+/**
+ * Whether a field (or dotted path) belongs to a server-managed order field
+ * @param {string} field - Field name or path
+ * @returns {boolean}
+ */
+function isOrderProtectedField(field) {
+  return ORDER_PROTECTED_FIELDS.includes(field.split('.')[0]);
+}
+
+/**
+ * Reject client writes to server-managed order fields
+ * @param {object} data - Update data (mutated)
+ * @param {object|null} unsetFields - Fields being removed
+ */
+function protectOrderFields(data, unsetFields) {
+  Object.keys(data).filter(field => field !== 'status' && isOrderProtectedField(field)).forEach(field => delete data[field]);
+  if (unsetFields && Object.keys(unsetFields).some(isOrderProtectedField)) {
+    throw new ApiError(400, `Order fields cannot be removed: ${ORDER_PROTECTED_FIELDS.join(', ')}`);
+  }
+}
+
+/**
+ * Reject fields a collection does not let clients change (updatableFields in the registry)
+ * @param {object|null} config - Registry entry
+ * @param {object} data - Update data (updatedAt is set by the server)
+ * @param {object|null} unsetFields - Fields being removed
+ */
+function protectUpdatableFields(config, data, unsetFields) {
+  if (!config || !Array.isArray(config.updatableFields)) return;
+  const rejected = [...Object.keys(data), ...Object.keys(unsetFields || {})]
+    .filter(field => field !== 'updatedAt' && !config.updatableFields.includes(field.split('.')[0]));
+  if (rejected.length > 0) {
+    throw new ApiError(400, `Fields cannot be changed: ${rejected.join(', ')}. Updatable fields: ${config.updatableFields.join(', ')}`);
+  }
+}
+
+/**
+ * Reject client writes to the trash fields of a soft-delete collection
+ * @param {object} data - Update data
+ * @param {object|null} unsetFields - Fields being removed
+ */
+function protectTrashFields(data, unsetFields) {
+  const touched = [...Object.keys(data), ...Object.keys(unsetFields || {})]
+    .filter(field => TRASH_FIELDS.includes(field.split('.')[0]));
+  if (touched.length > 0) {
+    throw new ApiError(400, `Trash fields cannot be changed here: ${touched.join(', ')}. Use DELETE to trash and POST /:id/restore to restore`);
+  }
+}
+
+/**
+ * Update a product recording its stock change in the inventory ledger
+ * The product update, the movement and the revision are written in the same transaction
+ * @param {Collection} col - Products collection
+ * @param {string} id - Product ID
+ * @param {object} update - MongoDB update document
+ * @param {object} context - { actor, requestId } (getRevisionContext)
+ * @param {object} options - { revision: { operation, revertedTo } (defaults to an update), expected: If-Match versions,
+ *   filter: extra conditions such as deletedAt: null }
+ * @returns {Promise<object|null>} Updated product or null if not found (or not in the expected version)
+ */
+async function updateProductWithMovement(col, id, update, context, { revision = { operation: 'update' }, expected = null, filter = {} } = {}) {
+  const session = startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const before = await col.findOneAndUpdate(
+        { ...filter, _id: new ObjectId(id), ...versionFilter(expected) },
+        update,
+        { session, returnDocument: 'before' }
+      );
+      if (!before) {
+        result = null;
+        return;
+      }
+
+      result = await col.findOne({ _id: before._id }, { session });
+
+      const delta = (Number(result.stock) || 0) - (Number(before.stock) || 0);
+      await recordMovements(
+        [{ refid: result.refid, delta, stock: result.stock }],
+        { reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT, actor: context.actor },
+        session
+      );
+      await recordRevisions(col.dbName, col.collectionName, [{
+        ...revision,
+        documentId: result._id,
+        before,
+        after: result
+      }], context, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
 /**
  * GET all documents from a collection
  */
@@ -145,11 +298,11 @@ async function getAll(req, res, next) {
       });
     }
 
+    const options = applyTrashFilter(req, parseQueryOptions(req.query));
     const col = getCollection(database, collection);
-    const options = parseQueryOptions(req.query);
 
     // Build query
-    let cursor = col.find(options.filter);
+    let cursor = col.find(options.filter).maxTimeMS(QUERY_MAX_TIME_MS);
 
     if (Object.keys(options.projection).length > 0) {
       cursor = cursor.project(options.projection);
@@ -168,7 +321,7 @@ async function getAll(req, res, next) {
     }
 
     const documents = await cursor.toArray();
-    const total = await col.countDocuments(options.filter);
+    const total = await col.countDocuments(options.filter, { maxTimeMS: QUERY_MAX_TIME_MS });
 
     const response = {
       success: true,
@@ -232,13 +385,20 @@ async function getOne(req, res, next) {
     const col = getCollection(database, collection);
     const document = await col.findOne({ _id: new ObjectId(id) });
 
-    if (!document) {
+    // In the trash: only with ?includeDeleted=true
+    if (!document || (document.deletedAt && isSoftDelete(req.collectionConfig) && req.query.includeDeleted !== 'true')) {
       return res.status(404).json({
         success: false,
         error: 'Document not found'
       });
     }
 
+    // If-None-Match: the client copy is current
+    res.set('ETag', getETag(document));
+    if (isNotModified(req, document)) {
+      return res.status(304).end();
+    }
+
     res.json({
       success: true,
       data: document
@@ -280,9 +440,13 @@ async function create(req, res, next) {
       delete data._id;
     }
 
-    // Add timestamps
+    // Validate against the collection schema
+    assertValidDocument(database, collection, data);
+
+    // Add timestamps and the first version
     data.createdAt = new Date();
     data.updatedAt = new Date();
+    data.version = 1;
 
     const col = getCollection(database, collection);
     const result = await col.insertOne(data);
@@ -292,13 +456,19 @@ async function create(req, res, next) {
 
     const createdDoc = { _id: result.insertedId, ...data };
 
-    // Send push notification for new orders
-    if (collection === 'orders') {
-      sendNewOrderNotification(createdDoc).catch(err =>
-        console.error('Error sending push notification:', err)
+    await recordRevisions(database, collection, [
+      { documentId: result.insertedId, operation: 'create', after: createdDoc }
+    ], getRevisionContext(req));
+
+    // Initial stock goes into the inventory ledger
+    if (collection === 'products' && data.stock) {
+      await recordMovements(
+        [{ refid: data.refid, delta: data.stock, stock: data.stock }],
+        { reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT, actor: getActor(req) }
       );
     }
 
+    res.set('ETag', getETag(createdDoc));
     res.status(201).json({
       success: true,
       data: createdDoc,
@@ -325,11 +495,21 @@ async function createMany(req, res, next) {
       });
     }
 
+    // Validate each document against the collection schema
+    const schema = getSchema(database, collection);
+    const errors = data.flatMap((doc, index) =>
+      validateDocument(doc, schema).map(error => ({ ...error, field: `[${index}].${error.field}` }))
+    );
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
     // Process each document
     const documents = data.map(doc => {
       const { _id, ...rest } = doc;
       return {
         ...rest,
+        version: 1,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -338,9 +518,27 @@ async function createMany(req, res, next) {
     const col = getCollection(database, collection);
     const result = await col.insertMany(documents);
 
+    await recordRevisions(database, collection, documents.map((doc, index) => ({
+      documentId: result.insertedIds[index],
+      operation: 'create',
+      after: doc
+    })), getRevisionContext(req));
+
+    // Bulk loads of products are recorded as imports in the inventory ledger
+    if (collection === 'products') {
+      await recordMovements(
+        documents.map(doc => ({ refid: doc.refid, delta: Number(doc.stock) || 0, stock: doc.stock })),
+        { reason: MOVEMENT_REASONS.IMPORT, actor: getActor(req) }
+      );
+    }
+
     // Invalidate cache for this collection
     invalidateCollectionCache(database, collection);
 
+    if (collection === 'products') {
+      notifyLowStock({ adjusted: documents.map(doc => ({ refid: doc.refid, stock: doc.stock })) }, req);
+    }
+
     res.status(201).json({
       success: true,
       data: {
@@ -388,32 +586,89 @@ async function update(req, res, next) {
     if (data?.$unset) delete data.$unset;
     if (data?.__unset) delete data.__unset;
 
-    // Remove _id from update data
+    // Remove _id and version from update data (the version only changes with $inc)
     delete data._id;
+    delete data.version;
+    if (unsetFields) delete unsetFields.version;
+
+    // If-Match: only update the version the client read
+    const expected = getExpectedVersions(req);
+
+    // Validate changed fields (PUT merges with $set, so only sent fields are checked)
+    assertValidDocument(database, collection, data, { partial: true, unset: unsetFields });
 
     // Update timestamp
     data.updatedAt = new Date();
 
     const col = getCollection(database, collection);
 
-    // Handle stock changes for order status updates
-    if (collection === 'orders' && data.status) {
-      const currentOrder = await col.findOne({ _id: new ObjectId(id) });
-      if (currentOrder) {
-        const stockUpdate = await handleStockOnStatusChange(currentOrder, data.status);
-        if (stockUpdate) {
-          Object.assign(data, stockUpdate);
-        }
+    if (collection === 'orders') {
+      protectOrderFields(data, unsetFields);
+    }
+
+    protectUpdatableFields(req.collectionConfig, data, unsetFields);
+
+    // Trashed documents are not updated (restore them first)
+    const softDelete = isSoftDelete(req.collectionConfig);
+    if (softDelete) {
+      protectTrashFields(data, unsetFields);
+    }
+    const trashFilter = softDelete ? { deletedAt: null } : {};
+
+    let result;
+    let stock = null;
+
+    if (collection === 'orders' && 'status' in data) {
+      // Status changes run in a transaction together with the stock movements.
+      // reason/note in the body describe the change (as in POST /api/order/:id/status), they are not order fields
+      const { status, reason, note, ...set } = data;
+      const context = getStatusChangeContext(req);
+      const outcome = await changeOrderStatus(id, status, {
+        ...context,
+        reason: reason ?? context.reason,
+        note: note ?? context.note,
+        expectedVersions: expected
+      }, {
+        set,
+        unset: unsetFields
+      });
+      result = outcome?.order || null;
+      stock = outcome?.stock || null;
+    } else if (collection === 'products' && 'stock' in data) {
+      // Manual stock changes are recorded in the inventory ledger
+      result = await updateProductWithMovement(
+        col,
+        id,
+        unsetFields
+          ? { $set: data, $unset: unsetFields, $inc: { version: 1 } }
+          : { $set: data, $inc: { version: 1 } },
+        getRevisionContext(req),
+        { expected, filter: trashFilter }
+      );
+      if (result) {
+        stock = { action: 'adjust', adjusted: [{ refid: result.refid, stock: result.stock }], missing: [] };
+      }
+    } else {
+      const before = await col.findOneAndUpdate(
+        { ...trashFilter, _id: new ObjectId(id), ...versionFilter(expected) },
+        unsetFields
+          ? { $set: data, $unset: unsetFields, $inc: { version: 1 } }
+          : { $set: data, $inc: { version: 1 } },
+        { returnDocument: 'before' }
+      );
+      result = before && await col.findOne({ _id: before._id });
+      if (result) {
+        await recordRevisions(database, collection, [
+          { documentId: result._id, operation: 'update', before, after: result }
+        ], getRevisionContext(req));
       }
     }
 
-    const result = await col.findOneAndUpdate(
-      { _id: new ObjectId(id) },
-      unsetFields
-        ? { $set: data, $unset: unsetFields }
-        : { $set: data },
-      { returnDocument: 'after' }
-    );
+    // Nothing matched: a stale If-Match gets the current document
+    if (!result && expected) {
+      const current = await col.findOne({ ...trashFilter, _id: new ObjectId(id) });
+      if (current) throw new VersionConflictError(current);
+    }
 
     if (!result) {
       return res.status(404).json({
@@ -425,9 +680,15 @@ async function update(req, res, next) {
     // Invalidate cache for this collection
     invalidateCollectionCache(database, collection);
 
+    if (stock) {
+      notifyLowStock(stock, req);
+    }
+
+    res.set('ETag', getETag(result));
     res.json({
       success: true,
       data: result,
+      ...(stock && { stock }),
       message: 'Document updated successfully'
     });
   } catch (error) {
@@ -468,32 +729,89 @@ async function patch(req, res, next) {
       });
     }
 
-    // Remove _id from update data
+    // Remove _id and version from update data (the version only changes with $inc)
     delete data._id;
+    delete data.version;
+    if (unsetFields) delete unsetFields.version;
+
+    // If-Match: only update the version the client read
+    const expected = getExpectedVersions(req);
+
+    // Validate only the fields being changed
+    assertValidDocument(database, collection, data, { partial: true, unset: unsetFields });
 
     // Update timestamp
     data.updatedAt = new Date();
 
     const col = getCollection(database, collection);
 
-    // Handle stock changes for order status updates
-    if (collection === 'orders' && data.status) {
-      const currentOrder = await col.findOne({ _id: new ObjectId(id) });
-      if (currentOrder) {
-        const stockUpdate = await handleStockOnStatusChange(currentOrder, data.status);
-        if (stockUpdate) {
-          Object.assign(data, stockUpdate);
-        }
+    if (collection === 'orders') {
+      protectOrderFields(data, unsetFields);
+    }
+
+    protectUpdatableFields(req.collectionConfig, data, unsetFields);
+
+    // Trashed documents are not updated (restore them first)
+    const softDelete = isSoftDelete(req.collectionConfig);
+    if (softDelete) {
+      protectTrashFields(data, unsetFields);
+    }
+    const trashFilter = softDelete ? { deletedAt: null } : {};
+
+    let result;
+    let stock = null;
+
+    if (collection === 'orders' && 'status' in data) {
+      // Status changes run in a transaction together with the stock movements.
+      // reason/note in the body describe the change (as in POST /api/order/:id/status), they are not order fields
+      const { status, reason, note, ...set } = data;
+      const context = getStatusChangeContext(req);
+      const outcome = await changeOrderStatus(id, status, {
+        ...context,
+        reason: reason ?? context.reason,
+        note: note ?? context.note,
+        expectedVersions: expected
+      }, {
+        set,
+        unset: unsetFields
+      });
+      result = outcome?.order || null;
+      stock = outcome?.stock || null;
+    } else if (collection === 'products' && 'stock' in data) {
+      // Manual stock changes are recorded in the inventory ledger
+      result = await updateProductWithMovement(
+        col,
+        id,
+        unsetFields
+          ? { $set: data, $unset: unsetFields, $inc: { version: 1 } }
+          : { $set: data, $inc: { version: 1 } },
+        getRevisionContext(req),
+        { expected, filter: trashFilter }
+      );
+      if (result) {
+        stock = { action: 'adjust', adjusted: [{ refid: result.refid, stock: result.stock }], missing: [] };
+      }
+    } else {
+      const before = await col.findOneAndUpdate(
+        { ...trashFilter, _id: new ObjectId(id), ...versionFilter(expected) },
+        unsetFields
+          ? { $set: data, $unset: unsetFields, $inc: { version: 1 } }
+          : { $set: data, $inc: { version: 1 } },
+        { returnDocument: 'before' }
+      );
+      result = before && await col.findOne({ _id: before._id });
+      if (result) {
+        await recordRevisions(database, collection, [
+          { documentId: result._id, operation: 'update', before, after: result }
+        ], getRevisionContext(req));
       }
     }
 
-    const result = await col.findOneAndUpdate(
-      { _id: new ObjectId(id) },
-      unsetFields
-        ? { $set: data, $unset: unsetFields }
-        : { $set: data },
-      { returnDocument: 'after' }
-    );
+    // Nothing matched: a stale If-Match gets the current document
+    if (!result && expected) {
+      const current = await col.findOne({ ...trashFilter, _id: new ObjectId(id) });
+      if (current) throw new VersionConflictError(current);
+    }
 
     if (!result) {
       return res.status(404).json({
@@ -505,6 +823,10 @@ async function patch(req, res, next) {
     // Invalidate cache for this collection
     invalidateCollectionCache(database, collection);
 
+    if (stock) {
+      notifyLowStock(stock, req);
+    }
+
     // Emit Socket.io event for order status updates
     if (collection === 'orders' && data.status) {
       const io = req.app.get('io');
@@ -518,9 +840,11 @@ async function patch(req, res, next) {
       }
     }
 
+    res.set('ETag', getETag(result));
     res.json({
       success: true,
       data: result,
+      ...(stock && { stock }),
       message: 'Document patched successfully'
     });
   } catch (error) {
@@ -530,6 +854,7 @@ async function patch(req, res, next) {
 
 /**
  * DELETE - Delete a document by ID
+ * Collections with soft delete move it to the trash instead
  */
 async function remove(req, res, next) {
   try {
@@ -543,22 +868,41 @@ async function remove(req, res, next) {
     }
 
     const col = getCollection(database, collection);
-    const result = await col.findOneAndDelete({ _id: new ObjectId(id) });
-
-    if (!result) {
+    const softDelete = isSoftDelete(req.collectionConfig);
+    const trashFields = { deletedAt: new Date(), deletedBy: getActor(req) };
+    const before = softDelete
+      ? await col.findOneAndUpdate(
+        { _id: new ObjectId(id), deletedAt: null },
+        { $set: trashFields, $inc: { version: 1 } },
+        { returnDocument: 'before' }
+      )
+      : await col.findOneAndDelete({ _id: new ObjectId(id) });
+
+    if (!before) {
       return res.status(404).json({
         success: false,
         error: 'Document not found'
       });
     }
 
+    const result = softDelete ? { ...before, ...trashFields, version: getVersion(before) + 1 } : before;
+
+    await recordRevisions(database, collection, [{
+      documentId: before._id,
+      operation: softDelete ? 'trash' : 'delete',
+      before,
+      after: softDelete ? result : null
+    }], getRevisionContext(req));
+
     // Invalidate cache for this collection
     invalidateCollectionCache(database, collection);
 
     res.json({
       success: true,
       data: result,
-      message: 'Document deleted successfully'
+      message: softDelete
+        ? `Document moved to the trash (restore with POST /api/${database}/${collection}/${id}/restore)`
+        : 'Document deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -567,6 +911,7 @@ async function remove(req, res, next) {
 
 /**
  * DELETE - Delete multiple documents by filter
+ * Collections with soft delete move them to the trash instead
  */
 async function removeMany(req, res, next) {
   try {
@@ -580,8 +925,38 @@ async function removeMany(req, res, next) {
       });
     }
 
+    guardFilter(filter);
+
     const col = getCollection(database, collection);
-    const result = await col.deleteMany(filter);
+    const softDelete = isSoftDelete(req.collectionConfig);
+
+    // Read the documents first to record their revisions
+    const documents = await col.find(softDelete ? excludeDeleted({ ...filter }) : filter)
+      .limit(DELETE_MAX_DOCUMENTS + 1)
+      .toArray();
+
+    if (documents.length > DELETE_MAX_DOCUMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `Filter matches more than ${DELETE_MAX_DOCUMENTS} documents, narrow it down and delete in several requests`
+      });
+    }
+
+    const ids = documents.map(doc => doc._id);
+    const trashFields = { deletedAt: new Date(), deletedBy: getActor(req) };
+
+    const deletedCount = ids.length === 0
+      ? 0
+      : softDelete
+        ? (await col.updateMany({ _id: { $in: ids }, deletedAt: null }, { $set: trashFields, $inc: { version: 1 } })).modifiedCount
+        : (await col.deleteMany({ _id: { $in: ids } })).deletedCount;
+
+    await recordRevisions(database, collection, documents.map(doc => ({
+      documentId: doc._id,
+      operation: softDelete ? 'trash' : 'delete',
+      before: doc,
+      after: softDelete ? { ...doc, ...trashFields, version: getVersion(doc) + 1 } : null
+    })), getRevisionContext(req));
 
     // Invalidate cache for this collection
     invalidateCollectionCache(database, collection);
@@ -589,9 +964,717 @@ async function removeMany(req, res, next) {
     res.json({
       success: true,
       data: {
-        deletedCount: result.deletedCount
+        deletedCount
       },
-      message: `${result.deletedCount} documents deleted successfully`
+      message: softDelete
+        ? `${deletedCount} documents moved to the trash`
+        : `${deletedCount} documents deleted successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET - Documents in the trash, most recently deleted first
+ * Same filters and pagination as getAll
+ */
+async function trash(req, res, next) {
+  try {
+    const { database, collection } = req.params;
+
+    if (!isSoftDelete(req.collectionConfig)) {
+      throw new ApiError(405, `Soft delete is not enabled for ${database}/${collection}`);
+    }
+
+    const options = parseQueryOptions(req.query);
+    const filter = { ...options.filter, deletedAt: { $ne: null } };
+    const col = getCollection(database, collection);
+
+    let cursor = col.find(filter)
+      .maxTimeMS(QUERY_MAX_TIME_MS)
+      .sort(Object.keys(options.sort).length > 0 ? options.sort : { deletedAt: -1 })
+      .skip(options.skip)
+      .limit(options.limit || 100);
+
+    if (Object.keys(options.projection).length > 0) {
+      cursor = cursor.project({ ...options.projection, deletedAt: 1, deletedBy: 1 });
+    }
+
+    const [documents, total] = await Promise.all([
+      cursor.toArray(),
+      col.countDocuments(filter, { maxTimeMS: QUERY_MAX_TIME_MS })
+    ]);
+
+    const retentionMs = getRetentionDays(req.collectionConfig) * 24 * 60 * 60 * 1000;
+
+    res.json({
+      success: true,
+      data: documents.map(doc => ({
+        ...doc,
+        purgeAt: new Date(new Date(doc.deletedAt).getTime() + retentionMs)
+      })),
+      meta: {
+        total,
+        count: documents.length,
+        database,
+        collection,
+        retentionDays: getRetentionDays(req.collectionConfig)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST - Restore a document from the trash
+ */
+async function restore(req, res, next) {
+  try {
+    const { database, collection, id } = req.params;
+
+    if (!isSoftDelete(req.collectionConfig)) {
+      throw new ApiError(405, `Soft delete is not enabled for ${database}/${collection}`);
+    }
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid document ID format'
+      });
+    }
+
+    const col = getCollection(database, collection);
+    const updatedAt = new Date();
+    const before = await col.findOneAndUpdate(
+      { _id: new ObjectId(id), deletedAt: { $ne: null } },
+      { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt }, $inc: { version: 1 } },
+      { returnDocument: 'before' }
+    );
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found in the trash'
+      });
+    }
+
+    const { deletedAt, deletedBy, ...restored } = before;
+    const result = { ...restored, updatedAt, version: getVersion(before) + 1 };
+
+    await recordRevisions(database, collection, [
+      { documentId: result._id, operation: 'restore', before, after: result }
+    ], getRevisionContext(req));
+
+    // Invalidate cache for this collection
+    invalidateCollectionCache(database, collection);
+
+    res.set('ETag', getETag(result));
+    res.json({
+      success: true,
+      data: result,
+      message: 'Document restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET - Revisions of a document, newest first
+ * GET /api/:database/:collection/:id/history?page=1&limit=50
+ */
+async function history(req, res, next) {
+  try {
+    const { database, collection, id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid document ID format'
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const { revisions, total } = await getRevisions(database, collection, new ObjectId(id), {
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: revisions,
+      meta: {
+        documentId: id,
+        total,
+        count: revisions.length,
+        page,
+        limit,
+        database,
+        collection
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST - Revert a document to how it was right after one of its revisions
+ * POST /api/:database/:collection/:id/revert/:revision
+ * The revert is recorded as a new revision. Server-managed order fields are left as they are
+ * (reported in meta.skipped); a hard-deleted document is inserted again with its _id.
+ */
+async function revert(req, res, next) {
+  try {
+    const { database, collection, id } = req.params;
+    const revision = parseInt(req.params.revision);
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid document ID format'
+      });
+    }
+
+    const col = getCollection(database, collection);
+    const _id = new ObjectId(id);
+    const current = await col.findOne({ _id });
+
+    const { target, found } = await getDocumentAtRevision(database, collection, _id, current, revision);
+    if (!found) {
+      throw new ApiError(404, `Revision ${revision} not found for this document`);
+    }
+    if (!target) {
+      throw new ApiError(409, `Revision ${revision} cannot be restored: the document did not exist then or was purged`);
+    }
+
+    const changes = diffDocuments(current || {}, target);
+    const skipped = collection === 'orders' && current
+      ? changes.filter(change => ORDER_PROTECTED_FIELDS.includes(change.field.split('.')[0])).map(change => change.field)
+      : [];
+    const applied = changes.filter(change => !skipped.includes(change.field));
+
+    if (applied.length === 0) {
+      return res.json({
+        success: true,
+        data: current,
+        meta: { revision, changed: [], skipped },
+        message: `Document already matches revision ${revision}`
+      });
+    }
+
+    // The restored version has to pass the current schema
+    const errors = validateDocument(target, getSchema(database, collection));
+    if (errors.length > 0) {
+      throw new ValidationError(errors, `Revision ${revision} does not pass the current schema`);
+    }
+
+    const context = getRevisionContext(req);
+    const now = new Date();
+    let result;
+
+    if (!current) {
+      // Hard delete: insert it again with the same _id
+      result = { ...target, _id, updatedAt: now, version: 1 };
+      await col.insertOne(result);
+      await recordRevisions(database, collection, [
+        { documentId: _id, operation: 'revert', revertedTo: revision, after: result }
+      ], context);
+      if (collection === 'products' && result.stock) {
+        await recordMovements(
+          [{ refid: result.refid, delta: Number(result.stock) || 0, stock: result.stock }],
+          { reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT, actor: context.actor }
+        );
+      }
+    } else {
+      const set = { updatedAt: now };
+      const unset = {};
+      applied.forEach(change => {
+        if ('to' in change) {
+          set[change.field] = change.to;
+        } else {
+          unset[change.field] = '';
+        }
+      });
+      const update = Object.keys(unset).length > 0
+        ? { $set: set, $unset: unset, $inc: { version: 1 } }
+        : { $set: set, $inc: { version: 1 } };
+
+      if (collection === 'products' && 'stock' in set) {
+        result = await updateProductWithMovement(col, id, update, context, {
+          revision: { operation: 'revert', revertedTo: revision }
+        });
+      } else {
+        const before = await col.findOneAndUpdate({ _id }, update, { returnDocument: 'before' });
+        result = before && await col.findOne({ _id });
+        if (result) {
+          await recordRevisions(database, collection, [
+            { documentId: _id, operation: 'revert', revertedTo: revision, before, after: result }
+          ], context);
+        }
+      }
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+    }
+
+    // Invalidate cache for this collection
+    invalidateCollectionCache(database, collection);
+
+    res.set('ETag', getETag(result));
+    res.json({
+      success: true,
+      data: result,
+      meta: { revision, changed: applied.map(change => change.field), skipped },
+      message: `Document reverted to revision ${revision}`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check a field name used as a bulk match key (top-level, no operators)
+ * @param {*} field - Field name
+ * @returns {boolean} True if valid
+ */
+function isMatchField(field) {
+  return typeof field === 'string' && /^[^$.\s][^.\s]*$/.test(field) && field !== '_id';
+}
+
+/**
+ * Parse one operation of a bulk update
+ * - { id, set, unset, inc }: one document by _id
+ * - { filter, set, unset, inc }: every document matching the filter
+ * - { key, set, inc }: upsert of the document whose matchOn field equals key
+ * @param {object} op - Operation from the request
+ * @param {object} context - { matchOn, schema, collection }
+ * @returns {object} { filter, update, many, upsert, touchesStock, errors }
+ */
+function parseBulkOperation(op, { matchOn, schema, collection, softDelete = false }) {
+  const errors = [];
+  const invalid = (field, message) => {
+    errors.push({ field, message });
+    return { errors };
+  };
+
+  if (!op || typeof op !== 'object' || Array.isArray(op)) {
+    return invalid('(root)', 'must be an object');
+  }
+
+  const selectors = ['id', 'filter', 'key'].filter(selector => op[selector] !== undefined);
+  if (selectors.length !== 1) {
+    return invalid('(root)', 'must have exactly one of id, filter or key');
+  }
+
+  let filter;
+  let many = false;
+  let upsert = false;
+
+  if (op.id !== undefined) {
+    if (!isValidObjectId(op.id)) return invalid('id', 'must be a valid document ID');
+    filter = { _id: new ObjectId(op.id) };
+  } else if (op.filter !== undefined) {
+    if (!op.filter || typeof op.filter !== 'object' || Array.isArray(op.filter) || Object.keys(op.filter).length === 0) {
+      return invalid('filter', 'must be a non-empty object');
+    }
+    guardFilter(op.filter);
+    filter = op.filter;
+    many = true;
+  } else {
+    if (!matchOn) return invalid('key', 'requires matchOn in the request');
+    if (op.key === null || typeof op.key === 'object') return invalid('key', 'must be a string or a number');
+    filter = { [matchOn]: op.key };
+    upsert = true;
+  }
+
+  const set = op.set === undefined ? {} : op.set;
+  const unset = Array.isArray(op.unset)
+    ? op.unset.reduce((acc, field) => {
+      if (field) acc[field] = '';
+      return acc;
+    }, {})
+    : (op.unset || {});
+  const inc = op.inc === undefined ? {} : op.inc;
+
+  [['set', set], ['unset', unset], ['inc', inc]].forEach(([name, value]) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ field: name, message: 'must be an object' });
+    } else if (Object.keys(value).some(field => field.startsWith('$') || field === '_id' || field === 'version')) {
+      errors.push({ field: name, message: 'cannot contain operators, _id or version' });
+    }
+  });
+  if (errors.length > 0) return { errors };
+
+  if (Object.keys(set).length + Object.keys(unset).length + Object.keys(inc).length === 0) {
+    return invalid('(root)', 'must have set, unset or inc');
+  }
+
+  // The same field in two operators is a conflict in MongoDB
+  const fields = [...Object.keys(set), ...Object.keys(unset), ...Object.keys(inc)];
+  fields.filter((field, index) => fields.indexOf(field) !== index).forEach(field => {
+    errors.push({ field, message: 'appears in more than one of set, unset and inc' });
+  });
+
+  if (softDelete) {
+    fields.filter(field => TRASH_FIELDS.includes(field.split('.')[0])).forEach(field => {
+      errors.push({ field, message: 'can only be changed with DELETE (trash) or POST /:id/restore' });
+    });
+  }
+
+  Object.entries(inc).forEach(([field, amount]) => {
+    const rule = schema?.[field];
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      errors.push({ field: `inc.${field}`, message: 'must be a number' });
+    } else if (rule && rule.type !== 'number') {
+      errors.push({ field: `inc.${field}`, message: `cannot increment a field of type ${rule.type}` });
+    } else if (rule?.integer && !Number.isInteger(amount)) {
+      errors.push({ field: `inc.${field}`, message: 'must be an integer' });
+    }
+  });
+
+  if (upsert) {
+    if (matchOn in set && set[matchOn] !== op.key) {
+      errors.push({ field: `set.${matchOn}`, message: 'must match key' });
+    }
+    if (Object.keys(unset).length > 0) {
+      errors.push({ field: 'unset', message: 'is not allowed in upserts' });
+    }
+    // Inserted when missing: it has to be a complete document
+    validateDocument({ ...set, ...inc, [matchOn]: op.key }, schema)
+      .forEach(error => errors.push({ ...error, field: `set.${error.field}` }));
+  } else {
+    validateDocument(set, schema, { partial: true, unset })
+      .forEach(error => errors.push({ ...error, field: `set.${error.field}` }));
+  }
+
+  if (collection === 'orders') {
+    if ('status' in set || 'status' in inc) {
+      errors.push({ field: 'status', message: 'order status must be changed with POST /api/order/:id/status' });
+    }
+    try {
+      protectOrderFields(set, unset);
+    } catch (error) {
+      errors.push({ field: 'unset', message: error.message });
+    }
+    Object.keys(inc).filter(field => field !== 'status' && isOrderProtectedField(field)).forEach(field => {
+      errors.push({ field: `inc.${field}`, message: 'is managed by the server and cannot be incremented' });
+    });
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const now = new Date();
+  const update = { $set: { ...set, updatedAt: now } };
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+  update.$inc = { ...inc, version: 1 };
+  if (upsert && !('createdAt' in set)) update.$setOnInsert = { createdAt: now };
+
+  return {
+    filter,
+    update,
+    many,
+    upsert,
+    touchesStock: collection === 'products' && ('stock' in set || 'stock' in inc || upsert),
+    errors
+  };
+}
+
+/**
+ * Documents each operation matches right before the write
+ * @param {Collection} col - Collection
+ * @param {object[]} operations - Parsed operations
+ * @param {string|null} matchOn - Upsert key field
+ * @returns {Promise<number[]>} Matches per operation
+ */
+async function countBulkMatches(col, operations, matchOn) {
+  // Single-document operations (id/key): one query for all of them
+  const single = operations.filter(op => !op.many);
+  const docs = single.length > 0
+    ? await col.find({ $or: single.map(op => op.filter) }, {
+      projection: { _id: 1, ...(matchOn && { [matchOn]: 1 }) },
+      maxTimeMS: QUERY_MAX_TIME_MS
+    }).toArray()
+    : [];
+  const ids = new Set(docs.map(doc => doc._id.toString()));
+  const keys = matchOn ? docs.map(doc => doc[matchOn]) : [];
+
+  return Promise.all(operations.map(op => {
+    if (op.many) return col.countDocuments(op.filter, { maxTimeMS: QUERY_MAX_TIME_MS });
+    if (op.filter._id) return ids.has(op.filter._id.toString()) ? 1 : 0;
+    return keys.filter(key => key === op.filter[matchOn]).length;
+  }));
+}
+
+/**
+ * Run parsed operations with bulkWrite
+ * @param {Collection} col - Collection
+ * @param {object[]} operations - Parsed operations
+ * @param {object} options - { ordered, session }
+ * @returns {Promise<object>} { result, writeErrors } (writeErrors: [{ index, code, message }])
+ */
+async function runBulkWrite(col, operations, { ordered, session = null }) {
+  const requests = operations.map(op => (op.many
+    ? { updateMany: { filter: op.filter, update: op.update } }
+    : { updateOne: { filter: op.filter, update: op.update, upsert: op.upsert } }));
+
+  try {
+    const result = await col.bulkWrite(requests, { ordered, session });
+    return { result, writeErrors: [] };
+  } catch (error) {
+    // Inside a transaction any error aborts it: rethrow
+    if (error.name !== 'MongoBulkWriteError' || session) throw error;
+    return {
+      result: error.result,
+      writeErrors: [].concat(error.writeErrors || []).map(writeError => ({
+        index: writeError.index,
+        code: writeError.code,
+        message: writeError.errmsg
+      }))
+    };
+  }
+}
+
+/**
+ * Documents a bulk update may change, read before the write for their revisions
+ * @param {Collection} col - Collection
+ * @param {object[]} operations - Parsed operations
+ * @param {ClientSession} session - Optional session
+ * @returns {Promise<object[]>} Documents
+ */
+async function findBulkTargets(col, operations, session = null) {
+  return col.find({ $or: operations.map(op => op.filter) }, { session }).toArray();
+}
+
+/**
+ * Record the revisions of a bulk update
+ * Documents are read again by _id (the filter may no longer match), plus the upserted ones
+ * @param {Collection} col - Collection
+ * @param {object[]} before - Result of findBulkTargets
+ * @param {object|null} result - BulkWriteResult
+ * @param {object} context - { actor, requestId }
+ * @param {ClientSession} session - Optional session
+ */
+async function recordBulkRevisions(col, before, result, context, session = null) {
+  const ids = [...before.map(doc => doc._id), ...Object.values(result?.upsertedIds || {})];
+  if (ids.length === 0) return;
+
+  const previous = new Map(before.map(doc => [doc._id.toString(), doc]));
+  const after = await col.find({ _id: { $in: ids } }, { session }).toArray();
+
+  await recordRevisions(col.dbName, col.collectionName, after.map(doc => ({
+    documentId: doc._id,
+    operation: previous.has(doc._id.toString()) ? 'update' : 'create',
+    before: previous.get(doc._id.toString()) || null,
+    after: doc
+  })), context, session);
+}
+
+/**
+ * Run a products bulk update recording its stock changes in the inventory ledger
+ * Everything is written in one transaction, so a failing operation rolls back the whole request
+ * @param {Collection} col - Products collection
+ * @param {object[]} operations - Parsed operations
+ * @param {object} options - { ordered, context } (context: { actor, requestId })
+ * @returns {Promise<object>} { result, writeErrors, stock }
+ */
+async function bulkWriteWithMovements(col, operations, { ordered, context }) {
+  const { actor } = context;
+  const session = startSession();
+  let outcome;
+
+  try {
+    await session.withTransaction(async () => {
+      const targets = await findBulkTargets(col, operations, session);
+      const stockFilter = { $or: operations.filter(op => op.touchesStock).map(op => op.filter) };
+      const before = await col.find(stockFilter, { session, projection: { refid: 1, stock: 1 } }).toArray();
+
+      const { result } = await runBulkWrite(col, operations, { ordered, session });
+
+      // By _id: the filter may stop matching after the change
+      const upsertedIds = Object.values(result.upsertedIds || {});
+      const after = await col.find(
+        { _id: { $in: [...before.map(doc => doc._id), ...upsertedIds] } },
+        { session, projection: { refid: 1, stock: 1 } }
+      ).toArray();
+
+      const stockBefore = new Map(before.map(doc => [doc._id.toString(), Number(doc.stock) || 0]));
+      const toMovement = doc => ({
+        refid: doc.refid,
+        delta: (Number(doc.stock) || 0) - (stockBefore.get(doc._id.toString()) || 0),
+        stock: doc.stock
+      });
+      const inserted = after.filter(doc => !stockBefore.has(doc._id.toString()));
+      const updated = after.filter(doc => stockBefore.has(doc._id.toString()));
+
+      await recordMovements(updated.map(toMovement), { reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT, actor }, session);
+      await recordMovements(inserted.map(toMovement), { reason: MOVEMENT_REASONS.IMPORT, actor }, session);
+      await recordBulkRevisions(col, targets, result, context, session);
+
+      outcome = {
+        result,
+        writeErrors: [],
+        stock: { action: 'adjust', adjusted: after.map(doc => ({ refid: doc.refid, stock: doc.stock })), missing: [] }
+      };
+    });
+  } catch (error) {
+    if (error.name !== 'MongoBulkWriteError') throw error;
+    outcome = {
+      result: null,
+      rolledBack: true,
+      writeErrors: [].concat(error.writeErrors || []).map(writeError => ({
+        index: writeError.index,
+        code: writeError.code,
+        message: writeError.errmsg
+      })),
+      stock: null
+    };
+  } finally {
+    await session.endSession();
+  }
+
+  return outcome;
+}
+
+/**
+ * PATCH - Update or upsert many documents in one bulkWrite
+ * Body: { operations: [{ id | filter | key, set, unset, inc }], matchOn: 'refid', ordered: true }
+ * - ordered: stops at the first failing operation; unordered runs every operation
+ * - stock changes of products are written in one transaction with their ledger movements
+ */
+async function updateMany(req, res, next) {
+  try {
+    const { database, collection } = req.params;
+    const body = Array.isArray(req.body) ? { operations: req.body } : (req.body || {});
+    const { operations, matchOn = null, ordered = true } = body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'operations must be a non-empty array'
+      });
+    }
+
+    if (operations.length > BULK_MAX_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many operations (maximum ${BULK_MAX_OPERATIONS})`
+      });
+    }
+
+    if (matchOn !== null && !isMatchField(matchOn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'matchOn must be a top-level field name'
+      });
+    }
+
+    if (typeof ordered !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'ordered must be a boolean'
+      });
+    }
+
+    // Every operation is validated before writing
+    const schema = getSchema(database, collection);
+    const errors = [];
+    const parsed = operations.map((op, index) => {
+      const result = parseBulkOperation(op, { matchOn, schema, collection, softDelete: isSoftDelete(req.collectionConfig) });
+      result.errors.forEach(error => errors.push({ ...error, field: `[${index}].${error.field}` }));
+      return result;
+    });
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const col = getCollection(database, collection);
+
+    // Trashed documents are not updated; an upsert whose key is in the trash is rejected
+    // instead of inserting a duplicate
+    if (isSoftDelete(req.collectionConfig)) {
+      const upserts = parsed.filter(op => op.upsert);
+      const trashed = upserts.length > 0
+        ? await col.find(
+          { $or: upserts.map(op => op.filter), deletedAt: { $ne: null } },
+          { projection: { [matchOn]: 1 } }
+        ).toArray()
+        : [];
+      parsed.forEach((op, index) => {
+        if (op.upsert && trashed.some(doc => doc[matchOn] === op.filter[matchOn])) {
+          errors.push({ field: `[${index}].key`, message: 'document is in the trash, restore it first' });
+        }
+        excludeDeleted(op.filter);
+      });
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
+    }
+
+    const matches = await countBulkMatches(col, parsed, matchOn);
+
+    const context = getRevisionContext(req);
+    let outcome;
+
+    if (collection === 'products' && parsed.some(op => op.touchesStock)) {
+      outcome = await bulkWriteWithMovements(col, parsed, { ordered, context });
+    } else {
+      const targets = await findBulkTargets(col, parsed);
+      outcome = { ...(await runBulkWrite(col, parsed, { ordered })), stock: null };
+      await recordBulkRevisions(col, targets, outcome.result, context);
+    }
+
+    const { result, writeErrors, rolledBack = false } = outcome;
+    const upsertedIds = result?.upsertedIds || {};
+    const firstError = writeErrors.length > 0 ? Math.min(...writeErrors.map(error => error.index)) : null;
+
+    const results = parsed.map((op, index) => {
+      const error = writeErrors.find(writeError => writeError.index === index);
+      const skipped = ordered && firstError !== null && index > firstError;
+      const applied = !rolledBack && !error && !skipped;
+      return {
+        index,
+        matched: matches[index],
+        applied,
+        upserted: applied && upsertedIds[index] !== undefined,
+        ...(applied && upsertedIds[index] !== undefined && { upsertedId: upsertedIds[index] }),
+        ...(error && { error: { code: error.code, message: error.message } }),
+        ...(skipped && { error: { message: 'Not run: a previous operation failed (ordered)' } })
+      };
+    });
+
+    if (result && (result.modifiedCount > 0 || result.upsertedCount > 0)) {
+      invalidateCollectionCache(database, collection);
+    }
+
+    if (outcome.stock) {
+      notifyLowStock(outcome.stock, req);
+    }
+
+    res.json({
+      success: writeErrors.length === 0,
+      data: results,
+      meta: {
+        operations: parsed.length,
+        ordered,
+        matched: result ? result.matchedCount : 0,
+        modified: result ? result.modifiedCount : 0,
+        upserted: result ? result.upsertedCount : 0,
+        errors: writeErrors.length,
+        ...(rolledBack && { rolledBack: true })
+      },
+      ...(outcome.stock && { stock: outcome.stock }),
+      message: rolledBack
+        ? 'An operation failed, no changes were written'
+        : `${result.modifiedCount} documents updated, ${result.upsertedCount} inserted`
     });
   } catch (error) {
     next(error);
@@ -604,10 +1687,10 @@ async function removeMany(req, res, next) {
 async function count(req, res, next) {
   try {
     const { database, collection } = req.params;
-    const options = parseQueryOptions(req.query);
+    const options = applyTrashFilter(req, parseQueryOptions(req.query));
 
     const col = getCollection(database, collection);
-    const total = await col.countDocuments(options.filter);
+    const total = await col.countDocuments(options.filter, { maxTimeMS: QUERY_MAX_TIME_MS });
 
     res.json({
       success: true,
@@ -626,10 +1709,10 @@ async function count(req, res, next) {
 async function distinct(req, res, next) {
   try {
     const { database, collection, field } = req.params;
-    const options = parseQueryOptions(req.query);
+    const options = applyTrashFilter(req, parseQueryOptions(req.query));
 
     const col = getCollection(database, collection);
-    const values = await col.distinct(field, options.filter);
+    const values = await col.distinct(field, options.filter, { maxTimeMS: QUERY_MAX_TIME_MS });
 
     res.json({
       success: true,
@@ -644,6 +1727,68 @@ async function distinct(req, res, next) {
   }
 }
 
+/**
+ * GET - Export documents as CSV, XLSX or NDJSON
+ * Same filters, sort and fields as getAll; ?format=csv|xlsx|ndjson, ?delimiter=comma|semicolon|tab (CSV)
+ */
+async function exportDocuments(req, res, next) {
+  try {
+    const { database, collection } = req.params;
+    const { format = 'csv', delimiter = 'comma', ...query } = req.query;
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      throw new ApiError(400, `Invalid format. Valid formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(CSV_DELIMITERS, delimiter)) {
+      throw new ApiError(400, `Invalid delimiter. Valid delimiters: ${Object.keys(CSV_DELIMITERS).join(', ')}`);
+    }
+
+    const options = applyTrashFilter(req, parseQueryOptions(query));
+    const col = getCollection(database, collection);
+
+    let cursor = col.find(options.filter)
+      .maxTimeMS(EXPORT_MAX_TIME_MS)
+      .limit(options.limit > 0 ? options.limit : EXPORT_MAX_ROWS);
+
+    if (Object.keys(options.projection).length > 0) {
+      cursor = cursor.project(options.projection);
+    }
+
+    if (Object.keys(options.sort).length > 0) {
+      cursor = cursor.sort(options.sort);
+    }
+
+    if (options.skip > 0) {
+      cursor = cursor.skip(options.skip);
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `${collection}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    try {
+      await streamDocuments(cursor, res, {
+        format,
+        fields: Object.keys(options.projection),
+        delimiter: CSV_DELIMITERS[delimiter],
+        sheetName: collection
+      });
+    } finally {
+      await cursor.close();
+    }
+  } catch (error) {
+    // Once the download started there is no JSON answer left: close the connection
+    if (res.headersSent) {
+      console.error(`Export ${req.params.database}/${req.params.collection} failed:`, error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+}
+
 /**
  * POST - Search with advanced query (aggregation)
  */
@@ -659,8 +1804,13 @@ async function search(req, res, next) {
       });
     }
 
+    let safePipeline = guardPipeline(pipeline, database);
+    if (isSoftDelete(req.collectionConfig) && req.query.includeDeleted !== 'true') {
+      safePipeline = excludeDeletedFromPipeline(safePipeline);
+    }
+
     const col = getCollection(database, collection);
-    const results = await col.aggregate(pipeline).toArray();
+    const results = await col.aggregate(safePipeline, { maxTimeMS: QUERY_MAX_TIME_MS }).toArray();
 
     res.json({
       success: true,
@@ -683,7 +1833,14 @@ module.exports = {
   patch,
   remove,
   removeMany,
+  trash,
+  restore,
+  history,
+  revert,
+  updateMany,
   count,
   distinct,
-  search
+  exportDocuments,
+  search,
+  ORDER_PROTECTED_FIELDS
 };
@@ -0,0 +1,127 @@
+/**
+ * Inventory Controller
+ * Stock movement history, ledger reconciliation and low-stock report
+ */
+
+const { getActor } = require('../middleware/auth');
+const {
+  LOW_STOCK_THRESHOLD,
+  MOVEMENT_REASONS,
+  recordMovements,
+  getMovements,
+  findMismatches,
+  getLowStockProducts
+} = require('../utils/inventory');
+
+/**
+ * Movements of a product
+ * GET /api/inventory/:refid/movements?page=1&limit=50
+ */
+async function movements(req, res, next) {
+  try {
+    const { refid } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const { movements: data, total } = await getMovements(refid, {
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        refid,
+        total,
+        count: data.length,
+        page,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Compare products.stock with the stock recomputed from the ledger
+ * GET /api/inventory/reconcile
+ */
+async function reconcileReport(req, res, next) {
+  try {
+    const mismatches = await findMismatches();
+
+    res.json({
+      success: true,
+      data: mismatches,
+      meta: {
+        mismatches: mismatches.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Align the ledger with products.stock by recording reconciliation movements
+ * Used once to set opening balances, and after fixing stock outside the API
+ * POST /api/inventory/reconcile
+ */
+async function reconcileApply(req, res, next) {
+  try {
+    const mismatches = await findMismatches();
+
+    const recorded = await recordMovements(
+      mismatches.map(mismatch => ({
+        refid: mismatch.refid,
+        delta: mismatch.difference,
+        stock: mismatch.productStock
+      })),
+      { reason: MOVEMENT_REASONS.RECONCILIATION, actor: getActor(req) }
+    );
+
+    res.json({
+      success: true,
+      data: mismatches,
+      meta: {
+        mismatches: mismatches.length,
+        movementsRecorded: recorded
+      },
+      message: `${recorded} reconciliation movements recorded`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Products below their low-stock threshold
+ * GET /api/inventory/low-stock?includeInactive=true
+ */
+async function lowStock(req, res, next) {
+  try {
+    const products = await getLowStockProducts({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: products,
+      meta: {
+        count: products.length,
+        defaultThreshold: LOW_STOCK_THRESHOLD
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  lowStock,
+  movements,
+  reconcileReport,
+  reconcileApply
+};
@@ -4,8 +4,30 @@
  */
 
 const { ObjectId } = require('mongodb');
-const { getCollection } = require('../config/database');
+const { getCollection, startSession } = require('../config/database');
 const cache = require('../cache/cacheManager');
+const { ApiError } = require('../middleware/errorHandler');
+const { getActor } = require('../middleware/auth');
+const token = require('../utils/token');
+const { uploadBuffer } = require('./uploadController');
+const { ValidationError, assertValidDocument } = require('../utils/validation');
+const { sendNewOrderNotification } = require('../utils/pushNotification');
+const { MOVEMENT_REASONS, recordMovements, checkLowStock } = require('../utils/inventory');
+const { priceItems, recomputeTotals, totalsMatch, roundMoney } = require('../utils/pricing');
+const { createRefund } = require('../utils/refunds');
+const { nextSequence } = require('../utils/counters');
+const { getCustomerIdentity, findOrCreateCustomer } = require('../utils/customers');
+const { recordRevisions } = require('../utils/revisions');
+const { assertVersion } = require('../utils/versioning');
+const {
+  getCustomerKey,
+  evaluateCoupon,
+  applyCouponToTotals,
+  describeCoupon,
+  recomputeCouponDiscount,
+  redeemCoupon,
+  releaseCoupon
+} = require('../utils/coupons');
 
 const DATABASE = 'utiles';
 const COLLECTION = 'orders';
@@ -13,183 +35,1435 @@ const PRODUCTS_COLLECTION = 'products';
 
 const VALID_STATUSES = ['pending', 'ready', 'shipped', 'delivered', 'cancelled'];
 
+// Order fields managed by the server (status only changes through changeOrderStatus)
+// Defined here because genericController already depends on this module
+const ORDER_PROTECTED_FIELDS = [
+  'status', 'statusHistory', 'stockDescontado', 'reservation', 'orderNumber', 'coupon', 'customerId',
+  'paymentStatus', 'payment', 'paymentHistory', 'cancellation', 'cancelledItems', 'refunds'
+];
+
+// Also set only by the server: stock check, pricing, delivery and trash
+const ORDER_SERVER_FIELDS = [
+  'stockIssues', 'pricing', 'deliveryProof', 'deliveredBy', 'deliveredAt', 'deletedAt', 'deletedBy'
+];
+
+// Transiciones permitidas: estado actual → estados siguientes
+const STATUS_TRANSITIONS = {
+  pending: ['ready', 'cancelled'],
+  ready: ['pending', 'shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Transiciones que solo se permiten con reapertura explícita (?reopen=true)
+const REOPEN_TRANSITIONS = {
+  cancelled: ['pending']
+};
+
+// Motivos de cancelación (obligatorios al cancelar; "other" requiere nota)
+const CANCELLATION_REASONS = [
+  'customer_request',
+  'out_of_stock',
+  'payment_failed',
+  'payment_refunded',
+  'duplicate',
+  'fraud',
+  'delivery_failed',
+  'other'
+];
+
+// Estados en los que se pueden cancelar items sueltos
+const PARTIAL_CANCEL_STATUSES = ['pending', 'ready', 'shipped'];
+
 // Estados que requieren que el stock esté descontado
 const STOCK_REQUIRED_STATUSES = ['ready', 'shipped', 'delivered'];
 
+// Reserva de stock al crear la orden, en minutos (0 = sin reserva)
+const RESERVATION_MINUTES = parseInt(process.env.ORDER_RESERVATION_MINUTES) || 0;
+
+// Cada cuánto se liberan las reservas vencidas
+const RESERVATION_SWEEP_INTERVAL = 60 * 1000;
+
+// Número de orden con prefijo anual (2026-00042) en lugar de secuencia simple (42)
+const ORDER_NUMBER_YEARLY_PREFIX = process.env.ORDER_NUMBER_YEARLY_PREFIX === 'true';
+
+// GET /api/order/:id/:status: disabled (solo POST) o signed (links firmados para el reparto)
+const STATUS_GET_MODE = process.env.ORDER_STATUS_GET_MODE === 'signed' ? 'signed' : 'disabled';
+const STATUS_LINK_TTL_MINUTES = parseInt(process.env.ORDER_STATUS_LINK_TTL_MINUTES) || 24 * 60;
+// Tope para expiresInMinutes pedido por el cliente (por defecto 7 días)
+const STATUS_LINK_MAX_MINUTES = Math.max(parseInt(process.env.ORDER_STATUS_LINK_MAX_MINUTES) || 7 * 24 * 60, STATUS_LINK_TTL_MINUTES);
+const STATUS_LINK_TOKEN_TYPE = 'order-status';
+
+// Link de seguimiento (QR del comprobante), solo lectura
+const TRACKING_LINK_TTL_DAYS = parseInt(process.env.ORDER_TRACKING_LINK_DAYS) || 30;
+const TRACKING_TOKEN_TYPE = 'order-tracking';
+
+// Qué hacer al crear una orden sin stock suficiente: 'reject' (409) o 'flag' (se guarda con stockIssues)
+const STOCK_CHECK_MODE = process.env.ORDER_STOCK_CHECK_MODE === 'flag' ? 'flag' : 'reject';
+
 /**
- * Descuenta stock de los productos de una orden
- * Solo se ejecuta si stockDescontado !== true
+ * Valida un cambio de estado contra la tabla de transiciones
+ * @param {string} from - Estado actual (órdenes sin estado se tratan como 'pending')
+ * @param {string} to - Estado nuevo
+ * @param {object} options - { reopen: permite reabrir órdenes canceladas }
+ * @throws {ApiError} 400 si el estado no existe, 409 si la transición no está permitida
  */
-async function decrementStock(order) {
-  if (order.stockDescontado === true) {
-    console.log(`[Stock] Orden #${order.orderId || order._id}: stock ya descontado, se omite`);
-    return false;
+function assertValidTransition(from, to, { reopen = false } = {}) {
+  if (!VALID_STATUSES.includes(to)) {
+    throw new ApiError(400, `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`);
   }
-  if (!order.items || order.items.length === 0) return false;
 
-  const productsCol = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const current = from || 'pending';
+  if (current === to) return;
 
-  console.log(`[Stock] DESCONTANDO stock - Orden #${order.orderId || order._id}:`);
-  for (const item of order.items) {
-    const refid = item.refid;
-    const quantity = Number(item.quantity) || 0;
-    if (!refid || quantity <= 0) continue;
+  const allowed = STATUS_TRANSITIONS[current] || [];
+  if (allowed.includes(to)) return;
 
-    await productsCol.updateOne(
-      { refid },
-      { $inc: { stock: -quantity } }
-    );
-    console.log(`  - refid: ${refid} | "${item.title || item.name || ''}" | cantidad: -${quantity}`);
+  if ((REOPEN_TRANSITIONS[current] || []).includes(to)) {
+    if (reopen) return;
+    throw new ApiError(409, `Order is ${current}. Reopening to ${to} requires reopen=true`, {
+      from: current,
+      to
+    });
   }
 
-  console.log(`[Stock] Descuento completado para orden #${order.orderId || order._id}`);
-  cache.invalidatePattern(`${DATABASE}/${PRODUCTS_COLLECTION}`);
-  return true;
+  throw new ApiError(409, `Invalid status transition: ${current} → ${to}`, {
+    from: current,
+    to,
+    allowed
+  });
 }
 
 /**
- * Restaura stock de los productos de una orden
- * Solo se ejecuta si stockDescontado === true
+ * Valida el motivo de una cancelación
+ * @param {string} reason - Código de motivo
+ * @param {string|null} note - Nota (obligatoria con "other")
+ * @throws {ApiError} 400 si falta o no es válido
  */
-async function restoreStock(order) {
-  if (order.stockDescontado !== true) {
-    console.log(`[Stock] Orden #${order.orderId || order._id}: stock no estaba descontado, no se restaura`);
-    return false;
+function assertCancellationReason(reason, note = null) {
+  if (!CANCELLATION_REASONS.includes(reason)) {
+    throw new ApiError(400, `A cancellation reason is required. Must be one of: ${CANCELLATION_REASONS.join(', ')}`);
   }
-  if (!order.items || order.items.length === 0) return false;
+  if (reason === 'other' && !note) {
+    throw new ApiError(400, 'A note is required when the cancellation reason is "other"');
+  }
+}
+
+/**
+ * Crea una entrada para el historial de estados de la orden
+ * @param {string|null} from - Estado anterior
+ * @param {string} to - Estado nuevo
+ * @param {object} context - { actor, device, note, reason, proof }
+ *   proof: { courier, location, photo } de los links firmados de reparto
+ * @returns {object} Entrada de statusHistory
+ */
+function buildStatusHistoryEntry(from, to, { actor = null, device = null, note = null, reason = null, proof = null } = {}) {
+  return {
+    from: from || null,
+    to,
+    at: new Date(),
+    actor,
+    device: device || null,
+    ...(reason && { reason }),
+    ...(note && { note }),
+    ...(proof && { proof })
+  };
+}
 
+/**
+ * Contexto del cambio de estado a partir del request
+ * @param {object} req - Express request
+ * @returns {{actor: object|null, requestId: string|null, device: string|null, reopen: boolean, reason: string|null, note: string|null}}
+ */
+function getStatusChangeContext(req) {
+  return {
+    actor: getActor(req),
+    requestId: req.id || null,
+    device: req.query.device || null,
+    reopen: req.query.reopen === 'true',
+    reason: req.query.reason || null,
+    note: req.query.note || null
+  };
+}
+
+/**
+ * Aplica $inc de stock a los productos de una orden dentro de una transacción
+ * @param {object} order - Orden con items
+ * @param {number} sign - -1 para descontar, +1 para restaurar
+ * @param {ClientSession} session - Sesión de la transacción
+ * @returns {Promise<{adjusted: object[], missing: string[]}>} refids ajustados y no encontrados
+ */
+async function applyStockIncrements(order, sign, session) {
   const productsCol = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const adjusted = [];
+  const missing = [];
 
-  console.log(`[Stock] RESTAURANDO stock - Orden #${order.orderId || order._id}:`);
   for (const item of order.items) {
     const refid = item.refid;
     const quantity = Number(item.quantity) || 0;
     if (!refid || quantity <= 0) continue;
 
-    await productsCol.updateOne(
-      { refid },
-      { $inc: { stock: quantity } }
+    // Productos en la papelera: no se les descuenta stock, pero sí se les devuelve
+    // (al restaurarlos el stock es correcto); si hay uno activo con el mismo refid, gana ese
+    const product = await productsCol.findOneAndUpdate(
+      sign < 0 ? { refid, deletedAt: null } : { refid },
+      { $inc: { stock: sign * quantity, version: 1 } },
+      { session, returnDocument: 'after', projection: { refid: 1, stock: 1 }, sort: { deletedAt: 1 } }
     );
-    console.log(`  - refid: ${refid} | "${item.title || item.name || ''}" | cantidad: +${quantity}`);
+
+    if (!product) {
+      missing.push(refid);
+      console.log(`  - refid: ${refid} | producto no encontrado, se omite`);
+      continue;
+    }
+
+    adjusted.push({ refid, delta: sign * quantity, stock: product.stock });
+    console.log(`  - refid: ${refid} | "${item.title || item.name || ''}" | cantidad: ${sign > 0 ? '+' : '-'}${quantity}`);
   }
 
-  console.log(`[Stock] Restauración completada para orden #${order.orderId || order._id}`);
-  cache.invalidatePattern(`${DATABASE}/${PRODUCTS_COLLECTION}`);
-  return true;
+  return { adjusted, missing };
+}
+
+/**
+ * Descuenta stock de los productos de una orden
+ * Debe ejecutarse dentro de la transacción que marca stockDescontado: true
+ */
+async function decrementStock(order, session) {
+  console.log(`[Stock] DESCONTANDO stock - Orden #${order.orderNumber || order.orderId || order._id}:`);
+  const result = await applyStockIncrements(order, -1, session);
+  console.log(`[Stock] Descuento completado para orden #${order.orderNumber || order.orderId || order._id}`);
+  return result;
+}
+
+/**
+ * Restaura stock de los productos de una orden
+ * Debe ejecutarse dentro de la transacción que marca stockDescontado: false
+ */
+async function restoreStock(order, session) {
+  console.log(`[Stock] RESTAURANDO stock - Orden #${order.orderNumber || order.orderId || order._id}:`);
+  const result = await applyStockIncrements(order, 1, session);
+  console.log(`[Stock] Restauración completada para orden #${order.orderNumber || order.orderId || order._id}`);
+  return result;
 }
 
 /**
- * Maneja el stock al cambiar de estado una orden.
- * Exportada para que genericController pueda usarla en PATCH.
+ * Determina el movimiento de stock que requiere un cambio de estado
  * @param {object} order - Documento de la orden ANTES del cambio
  * @param {string} newStatus - Nuevo estado
- * @returns {{ stockDescontado: boolean } | null}
+ * @returns {'decrement'|'restore'|null} Acción a realizar
  */
-async function handleStockOnStatusChange(order, newStatus) {
-  const orderId = order.orderId || order._id;
+function getStockAction(order, newStatus) {
+  if (!order.items || order.items.length === 0) return null;
 
   if (STOCK_REQUIRED_STATUSES.includes(newStatus)) {
-    const did = await decrementStock(order);
-    if (did) {
-      console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stockDescontado: true`);
-      return { stockDescontado: true };
-    }
-    console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stockDescontado: sin cambio (ya estaba descontado)`);
+    return order.stockDescontado === true ? null : 'decrement';
+  }
+  if (newStatus === 'cancelled') {
+    return order.stockDescontado === true ? 'restore' : null;
+  }
+  return null;
+}
+
+/**
+ * Maneja el stock al cambiar de estado una orden (dentro de la transacción)
+ * Cada ajuste queda registrado en el ledger de inventario
+ * @param {object} order - Documento de la orden ANTES del cambio
+ * @param {string} newStatus - Nuevo estado
+ * @param {ClientSession} session - Sesión de la transacción
+ * @param {object} context - { actor }
+ * @returns {Promise<{action: string, adjusted: object[], missing: string[]} | null>}
+ */
+async function handleStockOnStatusChange(order, newStatus, session, context = {}) {
+  const orderId = order.orderNumber || order.orderId || order._id;
+  const action = getStockAction(order, newStatus);
+
+  if (!action) {
+    console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stock: sin cambio (stockDescontado: ${order.stockDescontado === true})`);
     return null;
   }
 
-  if (newStatus === 'cancelled') {
-    const did = await restoreStock(order);
-    if (did) {
-      console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stockDescontado: false`);
-      return { stockDescontado: false };
+  const result = action === 'decrement'
+    ? await decrementStock(order, session)
+    : await restoreStock(order, session);
+
+  await recordMovements(result.adjusted, {
+    reason: action === 'decrement' ? MOVEMENT_REASONS.ORDER_DEDUCTED : MOVEMENT_REASONS.ORDER_CANCELLED,
+    orderId: order._id,
+    actor: context.actor
+  }, session);
+
+  console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stockDescontado: ${action === 'decrement'}`);
+  return { action, ...result };
+}
+
+/**
+ * Cambia el estado de una orden en una única transacción:
+ * actualización condicional de la orden + movimientos de stock.
+ * Exportada para que genericController pueda usarla en PUT/PATCH.
+ * @param {string} id - ID de la orden
+ * @param {string} status - Nuevo estado
+ * @param {object} context - { actor, requestId, device, reopen, note, reason, refundStatus, expectedVersions }
+ *   reason es obligatorio al cancelar; refundStatus fuerza el estado del reembolso;
+ *   expectedVersions (If-Match) responde 412 si la orden cambió desde que el cliente la leyó
+ * @param {object} changes - { set, unset } campos adicionales del PUT/PATCH
+ * @returns {Promise<{order: object, previousStatus: string, changed: boolean, stock: object|null, refund: object|null, couponReleased: boolean} | null>}
+ *   null si la orden no existe
+ */
+async function changeOrderStatus(id, status, context = {}, { set = {}, unset = null } = {}) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const session = startSession();
+  let outcome = null;
+
+  try {
+    await session.withTransaction(async () => {
+      outcome = null;
+
+      const order = await col.findOne({ _id: new ObjectId(id) }, { session });
+      if (!order) return;
+
+      assertVersion(order, context.expectedVersions);
+
+      const previousStatus = order.status || 'pending';
+      const changed = previousStatus !== status;
+
+      // Links firmados: solo la transición para la que se emitieron
+      if (changed && context.expectedStatus && previousStatus !== context.expectedStatus) {
+        throw new ApiError(409, `Order is "${previousStatus}", this link only works from "${context.expectedStatus}"`);
+      }
+
+      assertValidTransition(order.status, status, context);
+
+      const cancelling = changed && status === 'cancelled';
+      if (cancelling) {
+        assertCancellationReason(context.reason, context.note);
+      }
+
+      const stockAction = changed ? getStockAction(order, status) : null;
+
+      const updateData = {
+        ...set,
+        status,
+        updatedAt: new Date()
+      };
+
+      if (changed && status === 'delivered' && context.device) {
+        updateData.deliveredBy = context.device;
+        updateData.deliveredAt = new Date();
+      }
+
+      if (changed && status === 'delivered' && context.proof) {
+        updateData.deliveryProof = { ...context.proof, at: new Date() };
+      }
+
+      if (stockAction) {
+        updateData.stockDescontado = stockAction === 'decrement';
+      }
+
+      // Reserva activa: se consume al avanzar la orden o se libera al cancelarla
+      if (changed && order.reservation?.status === 'active') {
+        if (STOCK_REQUIRED_STATUSES.includes(status)) {
+          updateData['reservation.status'] = 'consumed';
+          updateData['reservation.consumedAt'] = new Date();
+        } else if (status === 'cancelled') {
+          updateData['reservation.status'] = 'released';
+          updateData['reservation.releasedAt'] = new Date();
+        }
+      }
+
+      // Cancelación: motivo + reembolso vinculado (por el total de la orden)
+      let refund = null;
+      if (cancelling) {
+        refund = await createRefund(order, {
+          type: 'full',
+          amount: order.totals?.total ?? order.total ?? 0,
+          reason: context.reason,
+          note: context.note || null,
+          status: context.refundStatus || null,
+          actor: context.actor || null
+        }, session);
+        updateData.cancellation = {
+          reason: context.reason,
+          note: context.note || null,
+          at: new Date(),
+          actor: context.actor || null,
+          refundId: refund._id
+        };
+
+        // El cupón vuelve a estar disponible (límite total y por cliente)
+        const released = await releaseCoupon(order.coupon, { orderId: order._id, actor: context.actor || null }, session);
+        if (released) {
+          updateData['coupon.releasedAt'] = released.releasedAt;
+        }
+      }
+
+      const update = { $set: updateData, $inc: { version: 1 } };
+      if (unset) update.$unset = unset;
+      if (changed) {
+        update.$push = { statusHistory: { ...buildStatusHistoryEntry(order.status, status, context), ...(refund && { refundId: refund._id }) } };
+      }
+      if (refund) {
+        update.$push.refunds = refund._id;
+      }
+
+      // Guardia: la orden no cambió de estado ni de stockDescontado desde que la leímos
+      const updated = await col.findOneAndUpdate(
+        {
+          _id: order._id,
+          status: order.status ?? null,
+          stockDescontado: order.stockDescontado === true ? true : { $ne: true }
+        },
+        update,
+        { session, returnDocument: 'after' }
+      );
+
+      if (!updated) {
+        throw new ApiError(409, 'Order was modified concurrently, please retry');
+      }
+
+      const stock = changed ? await handleStockOnStatusChange(order, status, session, context) : null;
+
+      await recordRevisions(DATABASE, COLLECTION, [
+        { documentId: order._id, operation: 'update', before: order, after: updated }
+      ], context, session);
+
+      outcome = { order: updated, previousStatus, changed, stock, refund, couponReleased: !!updateData['coupon.releasedAt'] };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (outcome) {
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+  }
+  if (outcome?.stock?.adjusted.length > 0) {
+    cache.invalidatePattern(`${DATABASE}/${PRODUCTS_COLLECTION}`);
+  }
+  if (outcome?.refund) {
+    cache.invalidatePattern(`${DATABASE}/refunds`);
+  }
+  if (outcome?.couponReleased) {
+    cache.invalidatePattern(`${DATABASE}/coupons`);
+  }
+
+  return outcome;
+}
+
+/**
+ * Cancela items sueltos de una orden en una única transacción:
+ * repone solo el stock de esos items, recalcula totales y crea el reembolso parcial.
+ * @param {string} id - ID de la orden
+ * @param {object[]} requested - [{ refid, quantity }] (sin quantity = toda la cantidad del refid)
+ * @param {object} context - { actor, requestId, device, reason, note }
+ * @returns {Promise<object|null>} { order, cancelled, refund, stock, couponReleased } | { fullCancellation: true } si no queda
+ *   ningún item | null si la orden no existe
+ */
+async function cancelOrderItems(id, requested, context) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const session = startSession();
+  let outcome = null;
+
+  try {
+    await session.withTransaction(async () => {
+      outcome = null;
+
+      const order = await col.findOne({ _id: new ObjectId(id) }, { session });
+      if (!order) return;
+
+      const status = order.status || 'pending';
+      if (!PARTIAL_CANCEL_STATUSES.includes(status)) {
+        throw new ApiError(409, `Items cannot be cancelled when the order is "${status}"`);
+      }
+      if (order.items.some(item => typeof item.unitPrice !== 'number')) {
+        throw new ApiError(409, 'Order has no server prices, cancel the whole order instead');
+      }
+
+      const remaining = order.items.map(item => ({ ...item }));
+      const cancelled = [];
+      const errors = [];
+
+      requested.forEach((entry, index) => {
+        const lines = remaining.filter(item => item.refid === entry?.refid && item.quantity > 0);
+        const available = lines.reduce((sum, item) => sum + item.quantity, 0);
+        const quantity = entry?.quantity === undefined ? available : entry.quantity;
+
+        if (available === 0) {
+          errors.push({ field: `items[${index}].refid`, message: `not in the order: ${entry?.refid}` });
+        } else if (!Number.isInteger(quantity) || quantity < 1) {
+          errors.push({ field: `items[${index}].quantity`, message: 'must be a positive integer' });
+        } else if (quantity > available) {
+          errors.push({ field: `items[${index}].quantity`, message: `only ${available} left in the order` });
+        } else {
+          let left = quantity;
+          for (const line of lines) {
+            const take = Math.min(left, line.quantity);
+            line.quantity -= take;
+            left -= take;
+            cancelled.push({ refid: line.refid, title: line.title || '', unitPrice: line.unitPrice, quantity: take });
+            if (left === 0) break;
+          }
+        }
+      });
+
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
+
+      const kept = remaining.filter(item => item.quantity > 0);
+      if (kept.length === 0) {
+        outcome = { fullCancellation: true };
+        return;
+      }
+
+      // Totales con los precios de la orden; envío igual, cupón recalculado sobre lo que queda
+      const shipping = order.totals?.shipping || 0;
+      const repriced = recomputeTotals(kept, { shipping });
+      const couponDiscount = await recomputeCouponDiscount(order.coupon, repriced.items, session);
+      const { items, totals } = recomputeTotals(kept, { shipping, couponDiscount });
+
+      // Si ningún item que queda es elegible el cupón ya no se usa: se libera
+      const couponReleased = couponDiscount === 0
+        ? await releaseCoupon(order.coupon, { orderId: order._id, actor: context.actor || null }, session)
+        : null;
+
+      const refund = await createRefund(order, {
+        type: 'partial',
+        amount: roundMoney((order.totals?.total ?? 0) - totals.total),
+        reason: context.reason,
+        note: context.note || null,
+        items: cancelled,
+        actor: context.actor || null
+      }, session);
+
+      const now = new Date();
+      const updated = await col.findOneAndUpdate(
+        { _id: order._id, status: order.status ?? null, updatedAt: order.updatedAt ?? null },
+        {
+          $set: { items, totals, updatedAt: now, ...(couponReleased && { 'coupon.releasedAt': couponReleased.releasedAt }) },
+          $inc: { version: 1 },
+          $push: {
+            cancelledItems: { $each: cancelled.map(item => ({ ...item, reason: context.reason, note: context.note || null, at: now })) },
+            refunds: refund._id,
+            statusHistory: {
+              ...buildStatusHistoryEntry(order.status, order.status, context),
+              event: 'items_cancelled',
+              items: cancelled,
+              refundId: refund._id
+            }
+          }
+        },
+        { session, returnDocument: 'after' }
+      );
+
+      if (!updated) {
+        throw new ApiError(409, 'Order was modified concurrently, please retry');
+      }
+
+      // Solo se repone el stock si estaba descontado (o reservado)
+      let stock = null;
+      if (order.stockDescontado) {
+        console.log(`[Stock] RESTAURANDO stock - Items cancelados de la orden #${order.orderNumber || order.orderId || order._id}:`);
+        const result = await applyStockIncrements({ items: cancelled }, 1, session);
+        await recordMovements(result.adjusted, {
+          reason: MOVEMENT_REASONS.ORDER_CANCELLED,
+          orderId: order._id,
+          actor: context.actor
+        }, session);
+        stock = { action: 'restore', ...result };
+      }
+
+      await recordRevisions(DATABASE, COLLECTION, [
+        { documentId: order._id, operation: 'update', before: order, after: updated }
+      ], context, session);
+
+      outcome = { order: updated, cancelled, refund, stock, couponReleased: !!couponReleased };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (outcome?.order) {
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+    cache.invalidatePattern(`${DATABASE}/refunds`);
+  }
+  if (outcome?.couponReleased) {
+    cache.invalidatePattern(`${DATABASE}/coupons`);
+  }
+  if (outcome?.stock?.adjusted.length > 0) {
+    cache.invalidatePattern(`${DATABASE}/${PRODUCTS_COLLECTION}`);
+  }
+
+  return outcome;
+}
+
+/**
+ * Dispara las alertas de stock bajo luego de un movimiento (sin bloquear la respuesta)
+ * Exportada para que genericController pueda usarla en PUT/PATCH.
+ * @param {{adjusted: object[]}} stock - Resultado del movimiento de stock
+ * @param {object} req - Express request (para Socket.io)
+ */
+function notifyLowStock(stock, req) {
+  const refids = stock.adjusted.map(entry => entry.refid);
+  checkLowStock(refids, req.app.get('io')).catch(error =>
+    console.error('[Stock] Error verificando stock bajo:', error.message)
+  );
+}
+
+/**
+ * Un producto está activo salvo que activo sea false
+ * @param {object} product - Documento del producto
+ * @returns {boolean} True si se puede vender
+ */
+function isProductActive(product) {
+  return product.activo !== false && product.activo !== 'false';
+}
+
+/**
+ * Verifica que los items existan, estén activos y tengan stock
+ * @param {object[]} items - Items de la orden
+ * @param {ClientSession} session - Sesión de la transacción
+ * @returns {Promise<{errors: object[], shortages: object[]}>}
+ *   errors: refids inexistentes o inactivos; shortages: { refid, requested, available }
+ */
+async function checkOrderItems(items, session) {
+  const productsCol = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const refids = [...new Set(items.map(item => item.refid))];
+
+  const products = await productsCol
+    .find({ refid: { $in: refids }, deletedAt: null }, { session, projection: { refid: 1, stock: 1, activo: 1 } })
+    .toArray();
+  const productsByRefid = new Map(products.map(product => [product.refid, product]));
+
+  const errors = [];
+  const requested = new Map();
+
+  items.forEach((item, index) => {
+    const product = productsByRefid.get(item.refid);
+    if (!product) {
+      errors.push({ field: `items[${index}].refid`, message: `product not found: ${item.refid}` });
+      return;
+    }
+    if (!isProductActive(product)) {
+      errors.push({ field: `items[${index}].refid`, message: `product is not active: ${item.refid}` });
+      return;
+    }
+    requested.set(item.refid, (requested.get(item.refid) || 0) + item.quantity);
+  });
+
+  const shortages = [];
+  for (const [refid, quantity] of requested) {
+    const available = Number(productsByRefid.get(refid).stock) || 0;
+    if (quantity > available) {
+      shortages.push({ refid, requested: quantity, available });
     }
-    console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stockDescontado: sin cambio (no estaba descontado)`);
-    return null;
   }
 
-  console.log(`Orden #${orderId}: "${order.status}" → "${newStatus}" → stock: no aplica`);
-  return null;
+  return { errors, shortages };
 }
 
 /**
- * Update order status
- * GET /api/order/:id/:status
+ * Reserva (descuenta) el stock de los items dentro de una transacción
+ * El descuento es condicional: falla si otro pedido tomó el stock antes
+ * @param {object[]} items - Items de la orden
+ * @param {ClientSession} session - Sesión de la transacción
+ * @returns {Promise<object[]>} refids ajustados { refid, delta, stock }
  */
-async function updateStatus(req, res, next) {
+async function reserveStock(items, session) {
+  const productsCol = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const requested = new Map();
+  items.forEach(item => requested.set(item.refid, (requested.get(item.refid) || 0) + item.quantity));
+
+  const adjusted = [];
+  for (const [refid, quantity] of requested) {
+    const product = await productsCol.findOneAndUpdate(
+      { refid, stock: { $gte: quantity }, deletedAt: null },
+      { $inc: { stock: -quantity, version: 1 } },
+      { session, returnDocument: 'after', projection: { refid: 1, stock: 1 } }
+    );
+
+    if (!product) {
+      throw new ApiError(409, `Insufficient stock for refid: ${refid}`, [{ refid, requested: quantity }]);
+    }
+
+    adjusted.push({ refid, delta: -quantity, stock: product.stock });
+    console.log(`  - refid: ${refid} | reservado: -${quantity}`);
+  }
+
+  return adjusted;
+}
+
+/**
+ * Genera el próximo número de orden (único, puede tener saltos)
+ * @returns {Promise<string>} '42' o '2026-00042' con ORDER_NUMBER_YEARLY_PREFIX
+ */
+async function generateOrderNumber() {
+  if (ORDER_NUMBER_YEARLY_PREFIX) {
+    const year = new Date().getFullYear();
+    const seq = await nextSequence(`orders-${year}`);
+    return `${year}-${String(seq).padStart(5, '0')}`;
+  }
+  const seq = await nextSequence('orders');
+  return String(seq);
+}
+
+/**
+ * Normaliza un número de orden dictado por el cliente
+ * '#42' → '42', '0042' → '42', '2026-42' → '2026-00042'
+ * @param {string} value - Número ingresado
+ * @returns {string} Número normalizado
+ */
+function normalizeOrderNumber(value) {
+  const raw = String(value || '').trim().replace(/^#/, '');
+
+  const yearly = raw.match(/^(\d{4})-(\d+)$/);
+  if (yearly) {
+    return `${yearly[1]}-${String(parseInt(yearly[2], 10)).padStart(5, '0')}`;
+  }
+  if (/^\d+$/.test(raw)) {
+    return String(parseInt(raw, 10));
+  }
+  return raw;
+}
+
+/**
+ * Create an order (server pricing + stock check + optional reservation)
+ * POST /api/utiles/orders
+ */
+async function create(req, res, next) {
   try {
-    const { id, status } = req.params;
-    const { device } = req.query;
+    const data = req.body;
 
-    // Validate status
-    if (!VALID_STATUSES.includes(status)) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
       return res.status(400).json({
         success: false,
-        error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`
+        error: 'Request body cannot be empty'
       });
     }
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
+    // Campos administrados por el servidor (status se valida abajo)
+    delete data._id;
+    [...ORDER_PROTECTED_FIELDS, ...ORDER_SERVER_FIELDS]
+      .filter(field => field !== 'status')
+      .forEach(field => delete data[field]);
+
+    assertValidDocument(DATABASE, COLLECTION, data);
+
+    if (data.status && data.status !== 'pending') {
       return res.status(400).json({
         success: false,
-        error: 'Invalid order ID format'
+        error: 'New orders must start with status: pending'
+      });
+    }
+
+    // El total del cliente solo se usa para detectar carritos desactualizados o manipulados
+    const clientTotal = data.totals?.total ?? data.total;
+    delete data.total;
+
+    const couponCode = data.couponCode;
+    const customerKey = getCustomerKey(data, req.auth);
+    delete data.couponCode;
+
+    const identity = getCustomerIdentity(data, req.auth);
+    let orderNumber = null;
+    let customer = null;
+
+    const now = new Date();
+    Object.assign(data, {
+      status: 'pending',
+      statusHistory: [buildStatusHistoryEntry(null, 'pending', getStatusChangeContext(req))],
+      stockDescontado: false,
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    const col = getCollection(DATABASE, COLLECTION);
+    const session = startSession();
+    let stock = null;
+
+    try {
+      await session.withTransaction(async () => {
+        stock = null;
+        data.stockDescontado = false;
+        delete data.reservation;
+        delete data.stockIssues;
+        delete data.coupon;
+
+        const { errors, shortages } = await checkOrderItems(data.items, session);
+        if (errors.length > 0) {
+          throw new ValidationError(errors);
+        }
+
+        // Precios y totales calculados con los productos actuales
+        const priced = await priceItems(data.items, { shippingMethod: data.shippingMethod, session });
+
+        let coupon = null;
+        if (couponCode) {
+          coupon = await evaluateCoupon(couponCode, priced, { customerKey, session });
+          if (!coupon.valid) {
+            throw new ApiError(400, `Coupon not applicable: ${coupon.reason}`, describeCoupon(coupon));
+          }
+        }
+        const totals = applyCouponToTotals(priced.totals, coupon);
+
+        if (!totalsMatch(clientTotal, totals.total)) {
+          throw new ApiError(409, 'Order total does not match current prices', {
+            clientTotal,
+            totals,
+            items: priced.items,
+            ...(coupon && { coupon: describeCoupon(coupon) })
+          });
+        }
+
+        if (shortages.length > 0 && STOCK_CHECK_MODE === 'reject') {
+          throw new ApiError(409, 'Insufficient stock', shortages);
+        }
+
+        // Número y cliente recién con la orden validada; van fuera de la sesión
+        // (un E11000 abortaría la transacción) y se conservan si withTransaction reintenta
+        if (!orderNumber) {
+          orderNumber = await generateOrderNumber();
+        }
+        // Cliente por email o teléfono (se crea en su primera compra)
+        if (!customer) {
+          customer = await findOrCreateCustomer({ ...identity, name: data.customerName });
+        }
+        data.orderNumber = orderNumber;
+        if (customer) {
+          data.customerId = customer._id;
+          if (identity.email) data.customerEmail = identity.email;
+          if (!data.customerName && customer.name) data.customerName = customer.name;
+        }
+
+        data.items = priced.items;
+        data.totals = totals;
+        data.pricing = { clientTotal: clientTotal ?? null, pricedAt: new Date() };
+        data._id = data._id || new ObjectId();
+
+        if (coupon) {
+          const redemption = await redeemCoupon(coupon, {
+            orderId: data._id,
+            customerKey,
+            actor: getActor(req)
+          }, session);
+          const { valid, ...summary } = describeCoupon(coupon);
+          data.coupon = { ...summary, customerKey, redeemedAt: redemption.createdAt };
+        }
+
+        if (shortages.length > 0) {
+          data.stockIssues = shortages;
+          console.log(`[Stock] Nueva orden con faltantes: ${shortages.map(s => s.refid).join(', ')}`);
+        }
+
+        // Reserva solo si hay stock para todos los items
+        if (RESERVATION_MINUTES > 0 && shortages.length === 0) {
+          console.log('[Stock] RESERVANDO stock - Nueva orden:');
+          const adjusted = await reserveStock(data.items, session);
+          await recordMovements(adjusted, {
+            reason: MOVEMENT_REASONS.ORDER_RESERVED,
+            orderId: data._id,
+            actor: getActor(req)
+          }, session);
+          data.stockDescontado = true;
+          data.reservation = {
+            status: 'active',
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000)
+          };
+          stock = { action: 'reserve', adjusted, missing: [] };
+        }
+
+        await col.insertOne(data, { session });
+        await recordRevisions(DATABASE, COLLECTION, [
+          { documentId: data._id, operation: 'create', after: data }
+        ], { actor: getActor(req), requestId: req.id || null }, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+    if (stock) {
+      cache.invalidatePattern(`${DATABASE}/${PRODUCTS_COLLECTION}`);
+    }
+    if (data.coupon) {
+      cache.invalidatePattern(`${DATABASE}/coupons`);
+    }
+
+    // Send push notification for new orders
+    sendNewOrderNotification(data).catch(err =>
+      console.error('Error sending push notification:', err)
+    );
+
+    if (stock) {
+      notifyLowStock(stock, req);
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      stock,
+      message: 'Document created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get an order by its human-readable number
+ * GET /api/order/by-number/:number
+ */
+async function getByNumber(req, res, next) {
+  try {
+    const orderNumber = normalizeOrderNumber(req.params.number);
+
+    if (!orderNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order number is required'
       });
     }
 
     const col = getCollection(DATABASE, COLLECTION);
+    const order = await col.findOne({ orderNumber });
 
-    // Obtener la orden actual antes de actualizar (necesaria para stock)
-    const currentOrder = await col.findOne({ _id: new ObjectId(id) });
-    if (!currentOrder) {
+    if (!order) {
       return res.status(404).json({
         success: false,
-        error: 'Order not found'
+        error: `Order not found: ${orderNumber}`
       });
     }
 
-    // Manejar stock según cambio de estado
-    const stockUpdate = await handleStockOnStatusChange(currentOrder, status);
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Build update object
-    const updateData = {
-      status,
-      updatedAt: new Date()
+/**
+ * Libera las reservas vencidas de órdenes que siguen en 'pending'
+ * @returns {Promise<number>} Cantidad de reservas liberadas
+ */
+async function releaseExpiredReservations() {
+  const col = getCollection(DATABASE, COLLECTION);
+  const expired = await col.find({
+    status: 'pending',
+    'reservation.status': 'active',
+    'reservation.expiresAt': { $lte: new Date() }
+  }).limit(100).toArray();
+
+  let released = 0;
+
+  for (const order of expired) {
+    const session = startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Guardia: otro proceso pudo haber avanzado o cancelado la orden
+        const updated = await col.findOneAndUpdate(
+          { _id: order._id, status: 'pending', 'reservation.status': 'active', stockDescontado: true },
+          {
+            $set: {
+              stockDescontado: false,
+              'reservation.status': 'expired',
+              'reservation.releasedAt': new Date(),
+              updatedAt: new Date()
+            },
+            $inc: { version: 1 }
+          },
+          { session, returnDocument: 'after' }
+        );
+        if (!updated) return;
+
+        await recordRevisions(DATABASE, COLLECTION, [
+          { documentId: order._id, operation: 'update', before: order, after: updated }
+        ], {}, session);
+
+        const { adjusted } = await restoreStock(order, session);
+        await recordMovements(adjusted, {
+          reason: MOVEMENT_REASONS.RESERVATION_EXPIRED,
+          orderId: order._id
+        }, session);
+        released++;
+      });
+    } catch (error) {
+      console.error(`[Stock] Error liberando reserva de orden #${order.orderNumber || order.orderId || order._id}:`, error.message);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  if (released > 0) {
+    console.log(`[Stock] Reservas vencidas liberadas: ${released}`);
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+    cache.invalidatePattern(`${DATABASE}/${PRODUCTS_COLLECTION}`);
+  }
+
+  return released;
+}
+
+/**
+ * Inicia el proceso periódico que libera reservas vencidas
+ * No hace nada si ORDER_RESERVATION_MINUTES no está configurado
+ */
+function startReservationSweeper() {
+  if (RESERVATION_MINUTES <= 0) return;
+
+  setInterval(() => {
+    releaseExpiredReservations().catch(error =>
+      console.error('[Stock] Error en limpieza de reservas:', error.message)
+    );
+  }, RESERVATION_SWEEP_INTERVAL);
+
+  console.log(`Stock reservations enabled (${RESERVATION_MINUTES} min)`);
+}
+
+/**
+ * Cambia el estado y arma la respuesta (compartido por POST y links firmados)
+ * @param {object} req - Express request (Socket.io, alertas de stock)
+ * @param {string} id - ID de la orden
+ * @param {string} status - Nuevo estado
+ * @param {object} context - { actor, device, reopen, note } (requestId se toma del request)
+ * @returns {Promise<{statusCode: number, body: object}>} Respuesta
+ */
+async function performStatusChange(req, id, status, context) {
+  if (!VALID_STATUSES.includes(status)) {
+    return {
+      statusCode: 400,
+      body: { success: false, error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}` }
+    };
+  }
+
+  if (!ObjectId.isValid(id)) {
+    return { statusCode: 400, body: { success: false, error: 'Invalid order ID format' } };
+  }
+
+  // Transición + stock en una sola transacción
+  const outcome = await changeOrderStatus(id, status, { requestId: req.id || null, ...context });
+
+  if (!outcome) {
+    return { statusCode: 404, body: { success: false, error: 'Order not found' } };
+  }
+
+  if (!outcome.changed) {
+    return {
+      statusCode: 200,
+      body: { success: true, data: outcome.order, stock: null, message: `Order status is already: ${status}` }
     };
+  }
+
+  // Emit Socket.io event
+  const io = req.app.get('io');
+  if (io) {
+    io.to('admin').emit('order:updated', {
+      orderId: id,
+      status,
+      order: outcome.order
+    });
+    console.log(`Socket event emitted: order:updated for ${id} -> ${status}`);
+  }
+
+  if (outcome.stock) {
+    notifyLowStock(outcome.stock, req);
+  }
 
-    if (status === 'delivered' && device) {
-      updateData.deliveredBy = device;
-      updateData.deliveredAt = new Date();
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      data: outcome.order,
+      stock: outcome.stock,
+      ...(outcome.refund && { refund: outcome.refund }),
+      message: `Order status updated to: ${status}`
     }
+  };
+}
 
-    if (stockUpdate) {
-      Object.assign(updateData, stockUpdate);
+/**
+ * Change order status
+ * POST /api/order/:id/status
+ * Body: { status, device, note, reopen, reason } (reason is required to cancel)
+ * Send an Idempotency-Key header so retries return the first result
+ */
+async function changeStatus(req, res, next) {
+  try {
+    const { status, device, note, reopen, reason } = req.body || {};
+
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'note must be a string'
+      });
     }
 
-    const result = await col.findOneAndUpdate(
+    const { statusCode, body } = await performStatusChange(req, req.params.id, status, {
+      actor: getActor(req),
+      device: typeof device === 'string' && device ? device : null,
+      note: note || null,
+      reason: reason || null,
+      reopen: reopen === true
+    });
+
+    res.status(statusCode).json(body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * URL pública de la API (para links firmados y códigos QR)
+ * @param {object} req - Express request
+ * @returns {string} URL base sin barra final
+ */
+function getPublicBaseUrl(req) {
+  return (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * Arma un link firmado de cambio de estado para un repartidor
+ * @param {object} link - { orderId, from, to, courierId, courierName, device, reason, issuer, expiresInMinutes }
+ * @param {string} baseUrl - URL pública de la API
+ * @returns {{url: string, expiresAt: Date}} Link
+ */
+function buildStatusLink({ orderId, from, to, courierId, courierName = null, device = null, reason = null, issuer = null, expiresInMinutes = STATUS_LINK_TTL_MINUTES }, baseUrl) {
+  const linkToken = token.sign({
+    typ: STATUS_LINK_TOKEN_TYPE,
+    oid: String(orderId),
+    from,
+    to,
+    cid: courierId,
+    cname: courierName,
+    dev: device,
+    ...(reason && { rsn: reason }),
+    iss: issuer
+  }, expiresInMinutes * 60);
+
+  return {
+    url: `${baseUrl}/api/order/${orderId}/${to}?token=${linkToken}`,
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  };
+}
+
+/**
+ * Arma el link firmado (solo lectura) para seguir el estado de entrega de una orden
+ * @param {string} orderId - ID de la orden
+ * @param {string} baseUrl - URL pública de la API
+ * @returns {string} URL
+ */
+function buildTrackingLink(orderId, baseUrl) {
+  const trackingToken = token.sign({ typ: TRACKING_TOKEN_TYPE, oid: String(orderId) }, TRACKING_LINK_TTL_DAYS * 24 * 60 * 60);
+  return `${baseUrl}/api/order/${orderId}/tracking?token=${trackingToken}`;
+}
+
+/**
+ * Delivery status of an order from a signed tracking link (receipt QR)
+ * GET /api/order/:id/tracking?token=...
+ */
+async function tracking(req, res, next) {
+  try {
+    const { id } = req.params;
+    const payload = token.verify(req.query.token);
+    if (!payload || payload.typ !== TRACKING_TOKEN_TYPE || payload.oid !== id) {
+      throw new ApiError(403, 'Invalid or expired tracking link');
+    }
+
+    const order = await getCollection(DATABASE, COLLECTION).findOne(
       { _id: new ObjectId(id) },
-      { $set: updateData },
-      { returnDocument: 'after' }
+      { projection: { orderNumber: 1, status: 1, statusHistory: 1, createdAt: 1, deliveredAt: 1 } }
     );
+    if (!order) {
+      throw new ApiError(404, 'Order not found');
+    }
 
-    // Invalidate cache
-    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber || null,
+        status: order.status || 'pending',
+        createdAt: order.createdAt || null,
+        deliveredAt: order.deliveredAt || null,
+        // Sin actores ni dispositivos: el link puede llegar a terceros
+        history: (order.statusHistory || [])
+          .filter(entry => entry.from !== entry.to)
+          .map(entry => ({ status: entry.to, at: entry.at }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Issue a signed link for one courier to perform one transition (e.g. shipped → delivered)
+ * POST /api/order/:id/status-link
+ * Body: { status, courierId, courierName, device, from, reason, expiresInMinutes }
+ * from defaults to the current order status; reason is required for cancellation links
+ * expiresInMinutes must be a positive integer and is capped at ORDER_STATUS_LINK_MAX_MINUTES
+ */
+async function createStatusLink(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { status, courierId, courierName, device, reason } = req.body || {};
+    const requestedMinutes = req.body?.expiresInMinutes;
+
+    if (requestedMinutes != null && !(Number.isInteger(Number(requestedMinutes)) && Number(requestedMinutes) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresInMinutes must be a positive integer'
+      });
+    }
+
+    const expiresInMinutes = requestedMinutes != null
+      ? Math.min(Number(requestedMinutes), STATUS_LINK_MAX_MINUTES)
+      : STATUS_LINK_TTL_MINUTES;
+
+    if (!VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`
+      });
+    }
+
+    if (typeof courierId !== 'string' || !courierId.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'courierId is required'
+      });
+    }
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    const order = await getCollection(DATABASE, COLLECTION).findOne({ _id: new ObjectId(id) }, { projection: { status: 1 } });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const from = req.body.from || order.status || 'pending';
+    if (!VALID_STATUSES.includes(from)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid from status. Must be one of: ${VALID_STATUSES.join(', ')}`
+      });
+    }
+    assertValidTransition(from, status);
+    if (status === 'cancelled' && (!CANCELLATION_REASONS.includes(reason) || reason === 'other')) {
+      return res.status(400).json({
+        success: false,
+        error: `Cancellation links need a reason. Must be one of: ${CANCELLATION_REASONS.filter(r => r !== 'other').join(', ')}`
+      });
+    }
+
+    const actor = getActor(req);
+    const link = buildStatusLink({
+      orderId: id,
+      from,
+      to: status,
+      courierId: courierId.trim(),
+      courierName: typeof courierName === 'string' ? courierName : null,
+      device: typeof device === 'string' && device ? device : null,
+      reason: status === 'cancelled' ? reason : null,
+      issuer: actor ? actor.id : null,
+      expiresInMinutes
+    }, getPublicBaseUrl(req));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        url: link.url,
+        from,
+        to: status,
+        courierId: courierId.trim(),
+        expiresAt: link.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Verify the signed link of the request
+ * @param {object} req - Express request (params id/status, query token)
+ * @returns {object} Token payload
+ * @throws {ApiError} 403 if the link is invalid, expired or for another order/transition
+ */
+function verifyStatusLink(req) {
+  const { id, status } = req.params;
+  const payload = token.verify(req.query.token);
+  if (!payload || payload.typ !== STATUS_LINK_TOKEN_TYPE || payload.oid !== id || payload.to !== status || !payload.cid) {
+    throw new ApiError(403, 'Invalid or expired status link');
+  }
+  return payload;
+}
+
+/**
+ * Read optional GPS coordinates (lat, lng, accuracy) from the body or query
+ * @param {object} source - req.body or req.query
+ * @returns {object|null} { lat, lng, accuracy } or null if not sent
+ * @throws {ApiError} 400 if out of range
+ */
+function parseLocation(source = {}) {
+  if (source.lat === undefined && source.lng === undefined) return null;
+
+  const lat = Number(source.lat);
+  const lng = Number(source.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new ApiError(400, 'Invalid GPS coordinates (lat: -90..90, lng: -180..180)');
+  }
+
+  const accuracy = Number(source.accuracy);
+  return { lat, lng, ...(Number.isFinite(accuracy) && accuracy >= 0 && { accuracy }) };
+}
+
+/**
+ * Apply a signed link: courier identity, GPS and proof photo are recorded with the change
+ * @param {object} req - Express request
+ * @param {object} payload - Verified link payload
+ * @param {object|null} location - GPS coordinates
+ * @returns {Promise<{statusCode: number, body: object}>} Response
+ */
+async function useStatusLink(req, payload, location) {
+  const { id, status } = req.params;
+
+  // La foto se sube solo si la transición todavía puede hacerse
+  let photo = null;
+  if (req.file) {
+    const order = await getCollection(DATABASE, COLLECTION).findOne({ _id: new ObjectId(id) }, { projection: { status: 1, orderNumber: 1 } });
+    if (order && order.status === payload.from) {
+      photo = await uploadBuffer(req.file.buffer, {
+        folder: 'utilesya/deliveries',
+        public_id: `${order.orderNumber || id}-${status}-${Date.now()}`
+      });
+    }
+  }
+
+  const courier = { id: payload.cid, name: payload.cname || null };
+  return performStatusChange(req, id, status, {
+    actor: { id: `courier:${payload.cid}`, role: 'delivery', name: payload.cname || null },
+    device: payload.dev || req.query.device || payload.cid,
+    expectedStatus: payload.from,
+    reason: payload.rsn || null,
+    proof: { courier, location, photo, link: { issuedBy: payload.iss || null, issuedAt: new Date(payload.iat * 1000) } }
+  });
+}
+
+/**
+ * Update order status from a signed link
+ * GET /api/order/:id/:status?token=...&lat=...&lng=...
+ * Only enabled with ORDER_STATUS_GET_MODE=signed; the token is the credential
+ */
+async function updateStatus(req, res, next) {
+  try {
+    if (STATUS_GET_MODE !== 'signed') {
+      throw new ApiError(405, `Changing order status with GET is disabled. Use POST /api/order/${req.params.id}/status`);
+    }
+
+    const payload = verifyStatusLink(req);
+    const { statusCode, body } = await useStatusLink(req, payload, parseLocation(req.query));
+
+    res.status(statusCode).json(body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Confirm a signed link with proof of delivery
+ * POST /api/order/:id/:status?token=...
+ * multipart/form-data: photo (optional image), lat, lng, accuracy (optional)
+ */
+async function confirmStatusLink(req, res, next) {
+  try {
+    const payload = verifyStatusLink(req);
+    const { statusCode, body } = await useStatusLink(req, payload, parseLocation(req.body));
+
+    res.status(statusCode).json(body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel an order or some of its items
+ * POST /api/order/:id/cancel
+ * Body: { reason, note, device, items: [{ refid, quantity }] }
+ * Without items the whole order is cancelled; cancelling every item also cancels the order
+ */
+async function cancel(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { reason, note, device, items } = req.body || {};
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    assertCancellationReason(reason, note);
+
+    const context = {
+      actor: getActor(req),
+      requestId: req.id || null,
+      device: typeof device === 'string' && device ? device : null,
+      reason,
+      note: typeof note === 'string' && note ? note : null
+    };
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'items must be a non-empty array of { refid, quantity }'
+      });
+    }
+
+    const outcome = items ? await cancelOrderItems(id, items, context) : { fullCancellation: true };
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    if (outcome.fullCancellation) {
+      const { statusCode, body } = await performStatusChange(req, id, 'cancelled', context);
+      return res.status(statusCode).json(body);
+    }
 
-    // Emit Socket.io event
     const io = req.app.get('io');
     if (io) {
       io.to('admin').emit('order:updated', {
         orderId: id,
-        status,
-        order: result
+        status: outcome.order.status,
+        event: 'items_cancelled',
+        items: outcome.cancelled,
+        order: outcome.order
       });
-      console.log(`Socket event emitted: order:updated for ${id} -> ${status}`);
+    }
+
+    if (outcome.stock) {
+      notifyLowStock(outcome.stock, req);
     }
 
     res.json({
       success: true,
-      data: result,
-      message: `Order status updated to: ${status}`
+      data: outcome.order,
+      stock: outcome.stock,
+      refund: outcome.refund,
+      message: `${outcome.cancelled.reduce((sum, item) => sum + item.quantity, 0)} items cancelled`
     });
   } catch (error) {
     next(error);
@@ -197,6 +1471,26 @@ async function updateStatus(req, res, next) {
 }
 
 module.exports = {
+  VALID_STATUSES,
+  ORDER_PROTECTED_FIELDS,
+  STATUS_TRANSITIONS,
+  CANCELLATION_REASONS,
+  create,
+  getByNumber,
+  changeStatus,
+  createStatusLink,
+  buildStatusLink,
+  buildTrackingLink,
+  getPublicBaseUrl,
+  tracking,
+  cancel,
   updateStatus,
-  handleStockOnStatusChange
+  confirmStatusLink,
+  notifyLowStock,
+  startReservationSweeper,
+  releaseExpiredReservations,
+  changeOrderStatus,
+  assertValidTransition,
+  buildStatusHistoryEntry,
+  getStatusChangeContext
 };
@@ -0,0 +1,126 @@
+/**
+ * Order Document Controller
+ * Printable PDFs: customer receipts and packing slips for the warehouse
+ */
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { buildOrdersPdf } = require('../utils/orderPdf');
+const { buildTrackingLink, getPublicBaseUrl } = require('./orderController');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'orders';
+
+// Máximo de hojas de entrega por PDF (lote de órdenes "ready")
+const MAX_BATCH_ORDERS = 200;
+
+/**
+ * Load an order by ID
+ * @param {string} id - Order ID
+ * @returns {Promise<object>} Order
+ * @throws {ApiError} 400 invalid ID, 404 not found
+ */
+async function loadOrder(id) {
+  if (!ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid order ID format');
+  }
+  const order = await getCollection(DATABASE, COLLECTION).findOne({ _id: new ObjectId(id) });
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+  return order;
+}
+
+/**
+ * QR of a packing slip: read-only delivery status link
+ * A link that changes the status would run on any camera preview or prefetch,
+ * so couriers mark the delivery from the app (POST /api/order/:id/status-link)
+ * @param {object} req - Express request
+ * @returns {function} order => url
+ */
+function packingSlipQr(req) {
+  const baseUrl = getPublicBaseUrl(req);
+  return order => buildTrackingLink(order._id, baseUrl);
+}
+
+/**
+ * Send a PDF as the response
+ * @param {object} res - Express response
+ * @param {PDFDocument} doc - Finished document
+ * @param {string} filename - File name
+ */
+function sendPdf(res, doc, filename) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`
+  });
+  doc.pipe(res);
+}
+
+/**
+ * Customer receipt with a QR to follow the delivery
+ * GET /api/order/:id/receipt.pdf
+ */
+async function receipt(req, res, next) {
+  try {
+    const order = await loadOrder(req.params.id);
+    const baseUrl = getPublicBaseUrl(req);
+
+    const doc = await buildOrdersPdf([order], {
+      type: 'receipt',
+      qrUrlFor: o => buildTrackingLink(o._id, baseUrl)
+    });
+    sendPdf(res, doc, `comprobante-${order.orderNumber || order._id}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Packing slip with a QR to the delivery status
+ * GET /api/order/:id/packing-slip.pdf
+ */
+async function packingSlip(req, res, next) {
+  try {
+    const order = await loadOrder(req.params.id);
+    if (order.status === 'cancelled') {
+      throw new ApiError(409, 'Order is cancelled');
+    }
+
+    const doc = await buildOrdersPdf([order], { type: 'packingSlip', qrUrlFor: packingSlipQr(req) });
+    sendPdf(res, doc, `entrega-${order.orderNumber || order._id}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Packing slips of every order ready to ship, oldest first (one page per order)
+ * GET /api/order/ready/packing-slips.pdf
+ */
+async function readyPackingSlips(req, res, next) {
+  try {
+    const orders = await getCollection(DATABASE, COLLECTION)
+      .find({ status: 'ready' })
+      .sort({ createdAt: 1 })
+      .limit(MAX_BATCH_ORDERS)
+      .toArray();
+
+    if (orders.length === 0) {
+      throw new ApiError(404, 'No orders ready to ship');
+    }
+
+    const doc = await buildOrdersPdf(orders, { type: 'packingSlip', qrUrlFor: packingSlipQr(req) });
+    res.set('X-Order-Count', String(orders.length));
+    sendPdf(res, doc, `entregas-${new Date().toISOString().slice(0, 10)}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  receipt,
+  packingSlip,
+  readyPackingSlips
+};
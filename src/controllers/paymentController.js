@@ -0,0 +1,276 @@
+/**
+ * Payment Controller
+ * Checkout creation and provider webhooks that update the order payment
+ */
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/database');
+const cache = require('../cache/cacheManager');
+const PAYMENTS = require('../config/payments');
+const PRICING = require('../config/pricing');
+const { ApiError } = require('../middleware/errorHandler');
+const { getPaymentProvider } = require('../payments');
+const { normalizeEmail } = require('../utils/customers');
+const { changeOrderStatus, notifyLowStock } = require('./orderController');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'orders';
+
+// Payment statuses only the same payment can change (a late webhook of another attempt cannot)
+const SETTLED_PAYMENT_STATUSES = ['approved', 'refunded'];
+
+/**
+ * Load an order by ID
+ * @param {string} id - Order ID
+ * @returns {Promise<object>} Order
+ * @throws {ApiError} 400 invalid ID, 404 not found
+ */
+async function loadOrder(id) {
+  if (!ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid order ID format');
+  }
+  const order = await getCollection(DATABASE, COLLECTION).findOne({ _id: new ObjectId(id) });
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+  return order;
+}
+
+/**
+ * Create a checkout (Mercado Pago preference) for an order
+ * POST /api/payments/checkout/:orderId
+ */
+async function checkout(req, res, next) {
+  try {
+    const order = await loadOrder(req.params.orderId);
+
+    // A customer can only pay their own orders
+    if (req.auth.role === 'customer' && normalizeEmail(req.auth.email) !== order.customerEmail) {
+      throw new ApiError(403, 'Order does not belong to this customer');
+    }
+    if (order.status === 'cancelled') {
+      throw new ApiError(409, 'Cannot pay a cancelled order');
+    }
+    if (order.paymentStatus === 'approved') {
+      throw new ApiError(409, 'Order is already paid');
+    }
+
+    const amount = order.totals?.total;
+    if (!(amount > 0)) {
+      throw new ApiError(400, 'Order has no amount to pay');
+    }
+
+    const provider = getPaymentProvider();
+    const { preferenceId, checkoutUrl } = await provider.createCheckout(order, {
+      amount,
+      notificationUrl: PAYMENTS.publicUrl ? `${PAYMENTS.publicUrl}/api/payments/webhook` : null,
+      backUrls: PAYMENTS.backUrls
+    });
+
+    const payment = {
+      ...order.payment,
+      provider: provider.name,
+      preferenceId,
+      checkoutUrl,
+      amount,
+      currency: PAYMENTS.currency,
+      updatedAt: new Date()
+    };
+
+    await getCollection(DATABASE, COLLECTION).updateOne(
+      { _id: order._id },
+      { $set: { payment, paymentStatus: order.paymentStatus || 'pending', updatedAt: new Date() }, $inc: { version: 1 } }
+    );
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        orderId: order._id,
+        provider: provider.name,
+        preferenceId,
+        checkoutUrl,
+        amount,
+        currency: PAYMENTS.currency
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Status the order should move to after a payment update
+ * @param {object} order - Order (after recording the payment)
+ * @param {object} payment - Provider payment
+ * @returns {string|null} 'ready', 'cancelled' or null
+ */
+function getPaymentTransition(order, payment) {
+  if (payment.status === 'approved' && order.status === 'pending') {
+    const orderTotal = order.totals?.total ?? 0;
+    return payment.amount + PRICING.totalTolerance >= orderTotal ? 'ready' : null;
+  }
+  if (payment.status === 'refunded' && ['pending', 'ready', 'shipped'].includes(order.status)) {
+    return 'cancelled';
+  }
+  return null;
+}
+
+/**
+ * Record a provider payment on its order and advance the order if needed
+ * Safe to repeat: providers resend webhooks, and the payment is always re-read from the provider
+ * @param {object} payment - Provider payment (see payments/index.js)
+ * @param {string} providerName - Provider name
+ * @param {object} req - Express request (Socket.io, low-stock alerts)
+ * @returns {Promise<object|null>} { order, previousStatus, changed, warning } or null if the order is unknown
+ */
+async function applyPayment(payment, providerName, req) {
+  if (!payment.orderId || !ObjectId.isValid(payment.orderId)) {
+    console.warn(`[Payments] Payment ${payment.id} has no order (external_reference: ${payment.orderId})`);
+    return null;
+  }
+
+  const col = getCollection(DATABASE, COLLECTION);
+  const orderId = new ObjectId(payment.orderId);
+  const now = new Date();
+
+  const set = {
+    paymentStatus: payment.status,
+    'payment.provider': providerName,
+    'payment.paymentId': payment.id,
+    'payment.status': payment.status,
+    'payment.statusDetail': payment.statusDetail,
+    'payment.amount': payment.amount,
+    'payment.refundedAmount': payment.refundedAmount,
+    'payment.currency': payment.currency,
+    'payment.updatedAt': now,
+    updatedAt: now
+  };
+
+  // An approved or refunded order only takes updates of that same payment
+  const sameAttempt = {
+    $or: [{ paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } }, { 'payment.paymentId': payment.id }]
+  };
+
+  // History and dates only on status changes (repeated webhooks do not duplicate them)
+  let order = await col.findOneAndUpdate(
+    { _id: orderId, paymentStatus: { $ne: payment.status }, ...sameAttempt },
+    {
+      $set: {
+        ...set,
+        ...(payment.status === 'approved' && { 'payment.approvedAt': now }),
+        ...(payment.status === 'refunded' && { 'payment.refundedAt': now })
+      },
+      $push: { paymentHistory: { paymentId: payment.id, status: payment.status, amount: payment.amount, at: now } },
+      $inc: { version: 1 }
+    },
+    { returnDocument: 'after' }
+  );
+  if (!order) {
+    order = await col.findOneAndUpdate({ _id: orderId, ...sameAttempt }, { $set: set, $inc: { version: 1 } }, { returnDocument: 'after' });
+  }
+  if (!order) {
+    // Another payment of the order is settled: this one is kept in the history only (once)
+    const settled = await col.findOneAndUpdate(
+      { _id: orderId, paymentHistory: { $not: { $elemMatch: { paymentId: payment.id, status: payment.status } } } },
+      {
+        $push: { paymentHistory: { paymentId: payment.id, status: payment.status, amount: payment.amount, at: now, ignored: true } },
+        $inc: { version: 1 }
+      },
+      { returnDocument: 'after' }
+    ) || await col.findOne({ _id: orderId });
+    if (!settled) {
+      console.warn(`[Payments] Payment ${payment.id}: order ${payment.orderId} does not exist`);
+      return null;
+    }
+    cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+
+    const warning = `Payment ${payment.id} (${payment.status}) ignored: the order already has payment ${settled.payment?.paymentId} ${settled.paymentStatus}`;
+    console.warn(`[Payments] Order ${payment.orderId}: ${warning}`);
+    return { order: settled, previousStatus: settled.status, changed: false, warning };
+  }
+  cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+
+  const status = getPaymentTransition(order, payment);
+  if (!status) {
+    const warning = payment.status === 'approved' && order.status === 'pending'
+      ? `Payment amount ${payment.amount} is below the order total ${order.totals?.total}`
+      : null;
+    if (warning) console.warn(`[Payments] Order ${payment.orderId}: ${warning}`);
+    return { order, previousStatus: order.status, changed: false, warning };
+  }
+
+  const context = {
+    actor: { id: `payments:${providerName}`, role: 'system', name: providerName },
+    requestId: req.id || null,
+    device: 'payments',
+    note: `Payment ${payment.id} ${payment.status}`,
+    // A provider refund already returned the money
+    ...(status === 'cancelled' && { reason: 'payment_refunded', refundStatus: 'completed' })
+  };
+
+  try {
+    const outcome = await changeOrderStatus(payment.orderId, status, context);
+    if (outcome?.changed) {
+      const io = req.app.get('io');
+      if (io) {
+        io.to('admin').emit('order:updated', {
+          orderId: payment.orderId,
+          status,
+          order: outcome.order
+        });
+      }
+      if (outcome.stock) {
+        notifyLowStock(outcome.stock, req);
+      }
+    }
+    return { ...outcome, warning: null };
+  } catch (error) {
+    // The payment stays recorded; the order is moved by hand (e.g. out of stock)
+    if (!(error instanceof ApiError)) throw error;
+    console.warn(`[Payments] Order ${payment.orderId}: could not move to "${status}": ${error.message}`);
+    return { order, previousStatus: order.status, changed: false, warning: error.message };
+  }
+}
+
+/**
+ * Provider webhook (signed, no API key)
+ * POST /api/payments/webhook
+ */
+async function webhook(req, res, next) {
+  try {
+    const provider = getPaymentProvider();
+
+    if (!provider.verifyWebhook(req)) {
+      throw new ApiError(401, 'Invalid webhook signature');
+    }
+
+    const event = provider.parseWebhook(req);
+    if (!event) {
+      return res.json({ success: true, message: 'Event ignored' });
+    }
+
+    const payment = await provider.getPayment(event.paymentId);
+    const result = await applyPayment(payment, provider.name, req);
+
+    res.json({
+      success: true,
+      data: {
+        paymentId: payment.id,
+        paymentStatus: payment.status,
+        orderId: payment.orderId,
+        orderStatus: result ? result.order.status : null,
+        statusChanged: result ? result.changed : false,
+        ...(result?.warning && { warning: result.warning })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  checkout,
+  webhook,
+  applyPayment
+};
@@ -0,0 +1,421 @@
+/**
+ * Product Import Controller
+ * Loads the catalog spreadsheet (CSV/XLSX): rows are matched by refid (or sku) and upserted
+ */
+
+const { getCollection, startSession } = require('../config/database');
+const cache = require('../cache/cacheManager');
+const { getSchema } = require('../config/schemas');
+const { ApiError } = require('../middleware/errorHandler');
+const { getActor } = require('../middleware/auth');
+const { MOVEMENT_REASONS, recordMovements } = require('../utils/inventory');
+const { ValidationError, validateDocument } = require('../utils/validation');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { recordRevisions } = require('../utils/revisions');
+const { notifyLowStock } = require('./orderController');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'products';
+
+// Maximum rows per file
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+
+// Columns managed by the server (e.g. those of an export)
+const IGNORED_COLUMNS = ['_id', 'createdAt', 'updatedAt', 'version'];
+
+const TRUE_VALUES = ['true', '1', 'si', 'sí', 'yes', 'x'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+/**
+ * Read a dotted path of a document
+ * @param {object} doc - Document
+ * @param {string} path - Path (e.g. "dimensiones.alto")
+ * @returns {*} Value or undefined
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), doc);
+}
+
+/**
+ * Build a nested document from dotted paths
+ * @param {object} fields - { path: value }
+ * @returns {object} Document
+ */
+function expandFields(fields) {
+  const doc = {};
+  Object.entries(fields).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+      return node[key];
+    }, doc);
+    parent[last] = value;
+  });
+  return doc;
+}
+
+/**
+ * Parse a number as written in the spreadsheet (es-AR or en)
+ * With both separators the last one is the decimal one; a repeated separator groups thousands.
+ * A single separator followed by exactly three digits could be either, so it is rejected:
+ * "1.234,50" → 1234.5, "1,234.50" → 1234.5, "12,5" → 12.5, "12.5" → 12.5,
+ * "1.234.567" → 1234567, "1,234,567" → 1234567, "$ 1.500,00" → 1500
+ * @param {*} value - Cell value
+ * @returns {number|*} Number, or the value unchanged if it is not one (validation reports it)
+ * @throws {Error} If the separators are ambiguous ("1.500", "1,500", "0.500", "1.23.4", "1,234,5", "1.2,3")
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim().replace(/^\$/, '').replace(/\s/g, '');
+  const negative = text.startsWith('-');
+  const digits = negative ? text.slice(1) : text;
+  if (!/^[\d.,]+$/.test(digits) || !/\d/.test(digits)) return value;
+
+  const dots = (digits.match(/\./g) || []).length;
+  const commas = (digits.match(/,/g) || []).length;
+
+  // "1.500" / "1,500": thousands in one locale, decimals in the other
+  if (dots + commas === 1 && /[.,]\d{3}$/.test(digits)) {
+    throw new Error(`ambiguous number "${value}", write it as 1500, 1.500,00 or 1,500.00`);
+  }
+
+  // Decimal separator: the last one with both present, a single one otherwise (repeated = thousands)
+  let decimal = null;
+  if (dots > 0 && commas > 0) {
+    decimal = digits.lastIndexOf('.') > digits.lastIndexOf(',') ? '.' : ',';
+  } else if (commas === 1) {
+    decimal = ',';
+  } else if (dots === 1) {
+    decimal = '.';
+  }
+  const thousands = decimal === '.' || (!decimal && commas > 0) ? ',' : '.';
+
+  const [integer, fraction = '', ...extra] = decimal ? digits.split(decimal) : [digits];
+  const grouped = new RegExp(`^[1-9]\\d{0,2}(\\${thousands}\\d{3})+$`);
+  const validInteger = integer.includes(thousands) ? grouped.test(integer) : /^\d+$/.test(integer);
+  if (extra.length > 0 || !validInteger || !/^\d*$/.test(fraction)) {
+    throw new Error(`ambiguous number "${value}", write it as 1234.50 or 1.234,50`);
+  }
+
+  const number = Number(`${integer.split(thousands).join('')}${fraction ? `.${fraction}` : ''}`);
+  return negative ? -number : number;
+}
+
+/**
+ * Convert a cell to the type of its field
+ * The type comes from the schema, or from the current product for fields without a rule
+ * @param {*} value - Cell value
+ * @param {object|null} rule - Schema rule
+ * @param {*} current - Current value in the product
+ * @returns {*} Converted value (undefined = empty cell, field left as is)
+ */
+function convertCell(value, rule, current) {
+  if (value === null || value === undefined || String(value).trim() === '') return undefined;
+
+  const type = rule?.type || (typeof current === 'number' || typeof current === 'boolean' ? typeof current : null);
+
+  switch (type) {
+    case 'number':
+      return parseNumber(value);
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return value;
+    }
+    case 'string':
+      return value instanceof Date ? value.toISOString() : String(value).trim();
+    default:
+      return typeof value === 'string' ? value.trim() : value;
+  }
+}
+
+/**
+ * Compare a spreadsheet value with the stored one
+ * @param {*} current - Stored value
+ * @param {*} value - New value
+ * @returns {boolean} True if equal
+ */
+function isSameValue(current, value) {
+  if (current instanceof Date && value instanceof Date) return current.getTime() === value.getTime();
+  return current === value;
+}
+
+/**
+ * Build the import plan: what each row would do
+ * @param {object[]} rows - Rows from readSpreadsheet ({ line, values })
+ * @param {ClientSession} session - MongoDB session (commit) or null (dry run)
+ * @returns {Promise<object[]>} [{ line, refid, sku, status, fields, changes, errors, product }]
+ */
+async function planImport(rows, session = null) {
+  const schema = getSchema(DATABASE, COLLECTION);
+  const keyOf = values => ({
+    refid: convertCell(values.refid, { type: 'string' }),
+    sku: convertCell(values.sku, { type: 'string' })
+  });
+
+  const keys = rows.map(row => keyOf(row.values));
+  const refids = keys.map(key => key.refid).filter(Boolean);
+  const skus = keys.filter(key => !key.refid && key.sku).map(key => key.sku);
+
+  // Trashed products are read too so their rows fail instead of creating a duplicate;
+  // they go first so a live product with the same key wins in the maps
+  const existing = (await getCollection(DATABASE, COLLECTION)
+    .find({ $or: [{ refid: { $in: refids } }, { sku: { $in: skus } }] }, { session })
+    .toArray())
+    .sort((a, b) => (a.deletedAt ? 0 : 1) - (b.deletedAt ? 0 : 1));
+  const byRefid = new Map(existing.filter(product => product.refid).map(product => [product.refid, product]));
+  const bySku = new Map(existing.filter(product => product.sku).map(product => [product.sku, product]));
+
+  const seen = new Map();
+
+  return rows.map((row, index) => {
+    const { refid, sku } = keys[index];
+    const entry = { line: row.line, refid: refid || null, sku: sku || null, status: null, fields: {}, changes: [], errors: [], product: null };
+
+    if (!refid && !sku) {
+      entry.errors.push({ field: 'refid', message: 'refid or sku is required to match the product' });
+      entry.status = 'error';
+      return entry;
+    }
+
+    const key = refid ? `refid:${refid}` : `sku:${sku}`;
+    if (seen.has(key)) {
+      entry.errors.push({ field: refid ? 'refid' : 'sku', message: `duplicated in the file (line ${seen.get(key)})` });
+      entry.status = 'error';
+      return entry;
+    }
+    seen.set(key, row.line);
+
+    const product = refid ? byRefid.get(refid) : bySku.get(sku);
+    entry.product = product || null;
+
+    if (product?.deletedAt) {
+      entry.errors.push({
+        field: refid ? 'refid' : 'sku',
+        message: `product is in the trash, restore it first (POST /api/utiles/products/${product._id}/restore)`
+      });
+      entry.status = 'error';
+      return entry;
+    }
+
+    // Conversion errors (e.g. ambiguous numbers) are reported instead of guessing the value
+    const conversionErrors = [];
+    Object.entries(row.values).forEach(([path, value]) => {
+      if (IGNORED_COLUMNS.includes(path)) return;
+      try {
+        const converted = convertCell(value, schema?.[path] || null, product ? getPath(product, path) : undefined);
+        if (converted !== undefined) entry.fields[path] = converted;
+      } catch (error) {
+        conversionErrors.push({ field: path, message: error.message });
+      }
+    });
+
+    if (!product) {
+      // A field that failed to convert is missing, do not report it twice as required
+      entry.errors = [
+        ...conversionErrors,
+        ...validateDocument(expandFields(entry.fields), schema)
+          .filter(error => !conversionErrors.some(failed => failed.field === error.field))
+      ];
+      entry.status = entry.errors.length > 0 ? 'error' : 'new';
+      return entry;
+    }
+
+    entry.errors = [...conversionErrors, ...validateDocument(entry.fields, schema, { partial: true })];
+    if (entry.errors.length > 0) {
+      entry.status = 'error';
+      return entry;
+    }
+
+    entry.changes = Object.entries(entry.fields)
+      .filter(([path, value]) => !isSameValue(getPath(product, path), value))
+      .map(([path, value]) => ({ field: path, from: getPath(product, path) ?? null, to: value }));
+    entry.status = entry.changes.length > 0 ? 'changed' : 'unchanged';
+    return entry;
+  });
+}
+
+/**
+ * Write the plan: inserts, updates, their stock movements and revisions
+ * @param {object[]} plan - Result of planImport (without errors)
+ * @param {object} context - { actor, requestId } of the import
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<object>} { inserted, updated, movements }
+ */
+async function applyImport(plan, context, session) {
+  const now = new Date();
+  const operations = [];
+  const movements = [];
+
+  plan.forEach(entry => {
+    if (entry.status === 'new') {
+      const doc = { ...expandFields(entry.fields), version: 1, createdAt: now, updatedAt: now };
+      operations.push({ insertOne: { document: doc } });
+      movements.push({ refid: doc.refid, delta: Number(doc.stock) || 0, stock: doc.stock });
+      entry.document = doc;
+    } else if (entry.status === 'changed') {
+      const set = Object.fromEntries(entry.changes.map(change => [change.field, change.to]));
+      operations.push({ updateOne: { filter: { _id: entry.product._id }, update: { $set: { ...set, updatedAt: now }, $inc: { version: 1 } } } });
+      if ('stock' in set) {
+        const stock = Number(set.stock) || 0;
+        movements.push({ refid: entry.product.refid, delta: stock - (Number(entry.product.stock) || 0), stock });
+      }
+    }
+  });
+
+  if (operations.length === 0) {
+    return { inserted: 0, updated: 0, movements: 0 };
+  }
+
+  const col = getCollection(DATABASE, COLLECTION);
+  const result = await col.bulkWrite(operations, { session, ordered: true });
+  const recorded = await recordMovements(movements, { reason: MOVEMENT_REASONS.IMPORT, actor: context.actor }, session);
+
+  const changed = plan.filter(entry => entry.status === 'changed');
+  const updated = changed.length > 0
+    ? await col.find({ _id: { $in: changed.map(entry => entry.product._id) } }, { session }).toArray()
+    : [];
+  const updatedById = new Map(updated.map(doc => [doc._id.toString(), doc]));
+
+  await recordRevisions(DATABASE, COLLECTION, [
+    ...plan.filter(entry => entry.status === 'new')
+      .map(entry => ({ documentId: entry.document._id, operation: 'create', after: entry.document })),
+    ...changed.map(entry => ({
+      documentId: entry.product._id,
+      operation: 'update',
+      before: entry.product,
+      after: updatedById.get(entry.product._id.toString())
+    }))
+  ], context, session);
+
+  return { inserted: result.insertedCount, updated: result.modifiedCount, movements: recorded };
+}
+
+/**
+ * Row of the response
+ * @param {object} entry - Plan entry
+ * @returns {object} { line, refid, sku, status, _id, changes, errors }
+ */
+function describeEntry(entry) {
+  return {
+    line: entry.line,
+    refid: entry.refid,
+    sku: entry.sku,
+    status: entry.status,
+    _id: entry.product ? entry.product._id : entry.document?._id || null,
+    ...(entry.status === 'changed' && { changes: entry.changes }),
+    ...(entry.status === 'new' && { fields: entry.fields }),
+    ...(entry.errors.length > 0 && { errors: entry.errors })
+  };
+}
+
+/**
+ * Count of rows per status
+ * @param {object[]} plan - Plan entries
+ * @returns {object} { rows, new, changed, unchanged, errors }
+ */
+function summarize(plan) {
+  const count = status => plan.filter(entry => entry.status === status).length;
+  return {
+    rows: plan.length,
+    new: count('new'),
+    changed: count('changed'),
+    unchanged: count('unchanged'),
+    errors: count('error')
+  };
+}
+
+/**
+ * Import products from a spreadsheet
+ * POST /api/utiles/products/import (multipart: file, dryRun)
+ * - dryRun=true: returns what each row would do, writes nothing
+ * - otherwise: all rows are written in one transaction, or none if any row has errors
+ */
+async function importProducts(req, res, next) {
+  try {
+    if (!req.file) {
+      throw new ApiError(400, 'Upload a CSV or XLSX file in the "file" field');
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+
+    let spreadsheet;
+    try {
+      spreadsheet = await readSpreadsheet(req.file.buffer, req.file.format);
+    } catch (error) {
+      throw new ApiError(400, `Could not read the file: ${error.message}`);
+    }
+
+    const { columns, rows } = spreadsheet;
+    if (!columns.includes('refid') && !columns.includes('sku')) {
+      throw new ApiError(400, 'The file needs a "refid" or "sku" column');
+    }
+    if (rows.length === 0) {
+      throw new ApiError(400, 'The file has no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ApiError(400, `The file has ${rows.length} rows (maximum ${MAX_IMPORT_ROWS})`);
+    }
+
+    if (dryRun) {
+      const plan = await planImport(rows);
+      return res.json({
+        success: true,
+        data: plan.map(describeEntry),
+        meta: { dryRun: true, ...summarize(plan) }
+      });
+    }
+
+    const session = startSession();
+    let plan;
+    let written;
+
+    try {
+      await session.withTransaction(async () => {
+        plan = await planImport(rows, session);
+
+        const errors = plan.flatMap(entry =>
+          entry.errors.map(error => ({ ...error, field: `[line ${entry.line}].${error.field}` }))
+        );
+        if (errors.length > 0) {
+          throw new ValidationError(errors, 'Import has invalid rows, nothing was written');
+        }
+
+        written = await applyImport(plan, { actor: getActor(req), requestId: req.id || null }, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (written.inserted > 0 || written.updated > 0) {
+      cache.invalidatePattern(`${DATABASE}/${COLLECTION}`);
+    }
+
+    // Same low stock alerts as a stock change of a single product
+    const adjusted = plan
+      .filter(entry => entry.status === 'new'
+        ? entry.document.stock !== undefined
+        : entry.status === 'changed' && entry.changes.some(change => change.field === 'stock'))
+      .map(entry => ({ refid: entry.status === 'new' ? entry.document.refid : entry.product.refid }));
+    if (adjusted.length > 0) {
+      notifyLowStock({ adjusted }, req);
+    }
+
+    res.json({
+      success: true,
+      data: plan.map(describeEntry),
+      meta: { dryRun: false, ...summarize(plan), ...written },
+      message: `${written.inserted} products created, ${written.updated} updated`
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  importProducts
+};
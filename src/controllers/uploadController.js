@@ -2,6 +2,37 @@ const cloudinary = require('../config/cloudinary');
 const { Readable } = require('stream');
 const path = require('path');
 
+/**
+ * Subir un buffer de imagen a Cloudinary
+ * Usado por los endpoints de upload y por las pruebas de entrega
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {object} options - Opciones de upload_stream (folder, public_id, ...)
+ * @returns {Promise<object>} { url, publicId, width, height, format, size }
+ */
+function uploadBuffer(buffer, options) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { resource_type: 'image', ...options },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({
+            url: result.secure_url,
+            publicId: result.public_id,
+            width: result.width,
+            height: result.height,
+            format: result.format,
+            size: result.bytes
+          });
+        }
+      }
+    );
+
+    Readable.from(buffer).pipe(stream);
+  });
+}
+
 /**
  * Subir una imagen a Cloudinary
  * POST /api/upload/image
@@ -83,39 +114,13 @@ async function uploadMultipleImages(req, res) {
       });
     }
 
-    const uploadPromises = req.files.map(file => {
-      return new Promise((resolve, reject) => {
-        const originalName = path.parse(file.originalname).name;
-
-        const stream = cloudinary.uploader.upload_stream(
-          {
-            folder: 'utilesya/products',
-            public_id: originalName,
-            use_filename: true,
-            unique_filename: false,
-            resource_type: 'image',
-            overwrite: true
-          },
-          (error, result) => {
-            if (error) {
-              reject(error);
-            } else {
-              resolve({
-                url: result.secure_url,
-                publicId: result.public_id,
-                width: result.width,
-                height: result.height,
-                format: result.format,
-                size: result.bytes
-              });
-            }
-          }
-        );
-
-        const bufferStream = Readable.from(file.buffer);
-        bufferStream.pipe(stream);
-      });
-    });
+    const uploadPromises = req.files.map(file => uploadBuffer(file.buffer, {
+      folder: 'utilesya/products',
+      public_id: path.parse(file.originalname).name,
+      use_filename: true,
+      unique_filename: false,
+      overwrite: true
+    }));
 
     const uploadedImages = await Promise.all(uploadPromises);
 
@@ -174,6 +179,7 @@ async function deleteImage(req, res) {
 }
 
 module.exports = {
+  uploadBuffer,
   uploadImage,
   uploadMultipleImages,
   deleteImage
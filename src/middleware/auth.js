@@ -0,0 +1,148 @@
+/**
+ * Authentication & Authorization Middleware
+ * API keys (X-API-Key) for machines, bearer tokens for the admin panel
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('./errorHandler');
+const { parseApiKeys, hasPermission } = require('../config/auth');
+const token = require('../utils/token');
+const { isSessionActive } = require('../utils/sessions');
+
+// API keys are parsed once at startup
+const API_KEYS = parseApiKeys();
+
+/**
+ * Hash a value so keys can be compared in constant time
+ * @param {string} value - Value to hash
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Find the API key entry matching a provided key
+ * @param {string} providedKey - Key from the request
+ * @returns {{role: string, key: string}|null} Matching entry
+ */
+function findApiKey(providedKey) {
+  const provided = digest(providedKey);
+  return API_KEYS.find(entry => crypto.timingSafeEqual(digest(entry.key), provided)) || null;
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, value] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && value ? value.trim() : null;
+}
+
+/**
+ * Authenticate the request
+ * Sets req.auth = { type, id, role, name, email, sessionId }
+ */
+async function authenticate(req, res, next) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const entry = findApiKey(apiKey);
+    if (!entry) {
+      return next(new ApiError(401, 'Invalid API key'));
+    }
+    req.auth = { type: 'apiKey', id: `apikey:${entry.role}`, role: entry.role, name: null, email: null, sessionId: null };
+    return next();
+  }
+
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    const payload = token.verify(bearer);
+    if (!payload || !payload.role) {
+      return next(new ApiError(401, 'Invalid or expired token'));
+    }
+
+    // Session tokens (Google Sign-In) stop working once the session is revoked
+    if (payload.sid) {
+      try {
+        if (!(await isSessionActive(payload.sid))) {
+          return next(new ApiError(401, 'Session expired or revoked'));
+        }
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    req.auth = {
+      type: 'token',
+      id: payload.sub,
+      role: payload.role,
+      name: payload.name || null,
+      email: payload.email || null,
+      sessionId: payload.sid || null
+    };
+    return next();
+  }
+
+  next(new ApiError(401, 'Authentication required'));
+}
+
+/**
+ * Require one of the given roles
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return next(new ApiError(401, 'Authentication required'));
+    }
+    if (req.auth.role !== 'admin' && !roles.includes(req.auth.role)) {
+      return next(new ApiError(403, `Role "${req.auth.role}" is not allowed to access this resource`));
+    }
+    next();
+  };
+}
+
+/**
+ * Require permission for an operation on req.params.database/collection
+ * @param {string} operation - read | create | update | delete | bulk | search
+ */
+function authorize(operation) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return next(new ApiError(401, 'Authentication required'));
+    }
+
+    const { database, collection } = req.params;
+    if (!hasPermission(req.auth.role, database, collection, operation)) {
+      return next(new ApiError(
+        403,
+        `Role "${req.auth.role}" cannot ${operation} ${database}/${collection}`
+      ));
+    }
+    next();
+  };
+}
+
+/**
+ * Get the actor (who is making the change) from an authenticated request
+ * @param {object} req - Express request
+ * @returns {{id: string, role: string, name: string|null}|null}
+ */
+function getActor(req) {
+  if (!req.auth) return null;
+  return {
+    id: req.auth.id,
+    role: req.auth.role,
+    name: req.auth.name
+  };
+}
+
+module.exports = {
+  authenticate,
+  getActor,
+  requireRole,
+  authorize
+};
@@ -0,0 +1,45 @@
+/**
+ * Collection Guard Middleware
+ * Enforces the collection registry on the dynamic /:database/:collection routes
+ */
+
+const { ApiError } = require('./errorHandler');
+const { isValidDatabaseName, isValidCollectionName } = require('../utils/validation');
+const { getCollectionConfig } = require('../config/collections');
+
+/**
+ * Require a registered database/collection with the operation enabled
+ * @param {string} operation - read | create | update | delete | bulk | search
+ */
+function requireCollection(operation) {
+  return (req, res, next) => {
+    const { database, collection } = req.params;
+
+    if (!isValidDatabaseName(database)) {
+      return next(new ApiError(400, 'Invalid database name'));
+    }
+
+    if (!isValidCollectionName(collection)) {
+      return next(new ApiError(400, 'Invalid collection name'));
+    }
+
+    const config = getCollectionConfig(database, collection);
+    if (!config) {
+      return next(new ApiError(404, `Collection not found: ${database}/${collection}`));
+    }
+
+    if (!config.operations.includes(operation)) {
+      return next(new ApiError(
+        405,
+        `Operation "${operation}" is not allowed on ${database}/${collection}`
+      ));
+    }
+
+    req.collectionConfig = config;
+    next();
+  };
+}
+
+module.exports = {
+  requireCollection
+};
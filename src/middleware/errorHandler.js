@@ -58,6 +58,11 @@ function errorHandler(err, req, res, next) {
     details = err.errors;
   }
 
+  // Optimistic concurrency: the client gets the current document and its ETag
+  if (err.name === 'VersionConflictError') {
+    res.set('ETag', err.etag);
+  }
+
   // Handle JSON parsing errors
   if (err.type === 'entity.parse.failed') {
     statusCode = 400;
@@ -73,6 +78,7 @@ function errorHandler(err, req, res, next) {
   // Log error in development
   if (process.env.NODE_ENV !== 'production') {
     console.error('Error:', {
+      requestId: req.id,
       statusCode,
       message,
       details,
@@ -85,6 +91,7 @@ function errorHandler(err, req, res, next) {
     success: false,
     error: message,
     ...(details && { details }),
+    ...(err.document && { data: err.document }),
     ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
   });
 }
@@ -0,0 +1,136 @@
+/**
+ * Idempotency Middleware
+ * Requests with an Idempotency-Key header run once: repeats get the stored response
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('../config/database');
+const { ApiError } = require('./errorHandler');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'idempotencyKeys';
+
+// Stored responses are kept for this many hours (removed by a TTL index)
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+const MAX_KEY_LENGTH = 255;
+
+// A key still "processing" after this many seconds is taken over by the next retry
+// (the process crashed or the handler never answered with res.json)
+const LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+
+/**
+ * Fingerprint of a request, to detect a key reused for a different request
+ * @param {object} req - Express request
+ * @returns {string} sha256 hex
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.baseUrl + req.path, body: req.body || null }))
+    .digest('hex');
+}
+
+/**
+ * Make the route idempotent when the client sends an Idempotency-Key header
+ * - first request: runs the handler and stores its response (5xx and 409 responses are not stored)
+ * - repeat with the same request: returns the stored response (Idempotent-Replayed: true)
+ * - repeat while the first one is running: 409, until its lease (IDEMPOTENCY_LEASE_SECONDS) runs out
+ * - same key with a different request: 422
+ * Keys are scoped to the authenticated caller (place after authenticate)
+ */
+function idempotent() {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(new ApiError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    try {
+      const col = getCollection(DATABASE, COLLECTION);
+      const id = `${req.auth ? req.auth.id : 'anonymous'}:${key}`;
+      const requestHash = hashRequest(req);
+      const now = new Date();
+
+      try {
+        await col.insertOne({
+          _id: id,
+          requestHash,
+          status: 'processing',
+          lockedAt: now,
+          createdAt: now,
+          expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const stored = await col.findOne({ _id: id });
+        if (!stored) {
+          return next(new ApiError(409, 'Request with this Idempotency-Key failed, please retry'));
+        }
+        if (stored.requestHash !== requestHash) {
+          return next(new ApiError(422, 'Idempotency-Key was already used for a different request'));
+        }
+
+        if (stored.status !== 'completed') {
+          // Expired lease: take the key over (only one retry wins)
+          const lockedAt = stored.lockedAt || stored.createdAt;
+          const expired = now.getTime() - new Date(lockedAt).getTime() > LEASE_SECONDS * 1000;
+          const claimed = expired && await col.findOneAndUpdate(
+            { _id: id, status: 'processing', lockedAt: stored.lockedAt },
+            { $set: { lockedAt: now } }
+          );
+          if (!claimed) {
+            return next(new ApiError(409, 'A request with this Idempotency-Key is still being processed'));
+          }
+        } else {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(stored.response.statusCode).json(stored.response.body);
+        }
+      }
+
+      // Only this request's lock: a retry may have taken over an expired lease
+      const lock = { _id: id, status: 'processing', lockedAt: now };
+      let answered = false;
+
+      // Store the response before sending it (4xx errors included, they are final too).
+      // 5xx and 409 (conflict with the current state, e.g. "modified concurrently, please retry")
+      // release the key so the retry runs again
+      const json = res.json.bind(res);
+      res.json = body => {
+        answered = true;
+        const statusCode = res.statusCode;
+        const save = statusCode >= 500 || statusCode === 409
+          ? col.deleteOne(lock)
+          : col.updateOne(
+            lock,
+            { $set: { status: 'completed', response: { statusCode, body }, completedAt: new Date() } }
+          );
+
+        save
+          .catch(error => console.error('[Idempotency] Could not store the response:', error.message))
+          .finally(() => json(body));
+        return res;
+      };
+
+      // Answered without res.json (res.send, a piped file): nothing to store, release the key.
+      // A request cut off midway keeps it until the lease runs out
+      res.on('finish', () => {
+        if (answered) return;
+        col.deleteOne(lock).catch(error =>
+          console.error('[Idempotency] Could not release the key:', error.message)
+        );
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotent
+};
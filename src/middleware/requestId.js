@@ -0,0 +1,21 @@
+/**
+ * Request ID Middleware
+ * Every request gets an ID (req.id, X-Request-Id response header) to trace it in logs and revisions
+ */
+
+const crypto = require('crypto');
+
+// IDs recibidos de un proxy o del cliente: se aceptan si son cortos y seguros para logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Use the incoming X-Request-Id when valid, otherwise generate one
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
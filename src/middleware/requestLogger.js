@@ -10,13 +10,13 @@ function requestLogger(req, res, next) {
   const start = Date.now();
 
   // Log request
-  console.log(`--> ${req.method} ${req.originalUrl}`);
+  console.log(`--> ${req.method} ${req.originalUrl} [${req.id}]`);
 
   // Log response on finish
   res.on('finish', () => {
     const duration = Date.now() - start;
     const statusColor = res.statusCode >= 400 ? '\x1b[31m' : '\x1b[32m';
-    console.log(`<-- ${req.method} ${req.originalUrl} ${statusColor}${res.statusCode}\x1b[0m ${duration}ms`);
+    console.log(`<-- ${req.method} ${req.originalUrl} ${statusColor}${res.statusCode}\x1b[0m ${duration}ms [${req.id}]`);
   });
 
   next();
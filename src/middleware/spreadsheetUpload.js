@@ -0,0 +1,29 @@
+const path = require('path');
+const multer = require('multer');
+
+// Extensión → formato de readSpreadsheet (el mimetype de los CSV varía según el sistema)
+const SPREADSHEET_FORMATS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx'
+};
+
+const fileFilter = (req, file, cb) => {
+  const format = SPREADSHEET_FORMATS[path.extname(file.originalname || '').toLowerCase()];
+
+  if (format) {
+    file.format = format;
+    cb(null, true);
+  } else {
+    cb(new Error('Tipo de archivo no permitido. Solo se aceptan planillas CSV o XLSX'), false);
+  }
+};
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
+module.exports = spreadsheetUpload;
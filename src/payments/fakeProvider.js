@@ -0,0 +1,69 @@
+/**
+ * Fake payment provider
+ * Keeps payments in memory so checkouts and webhooks can be exercised without Mercado Pago
+ *
+ * Usage (development / tests):
+ *   const provider = getPaymentProvider();       // PAYMENT_PROVIDER=fake
+ *   provider.setPayment({ id: 'p1', orderId, status: 'approved', amount: 1234 });
+ *   POST /api/payments/webhook?data.id=p1 { type: 'payment', data: { id: 'p1' } }
+ *   with header x-signature: signWebhook({ dataId: 'p1', requestId, ts }, PAYMENT_WEBHOOK_SECRET)
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+const { verifyWebhookSignature } = require('./signature');
+
+/**
+ * Create the fake provider
+ * @param {object} config - PAYMENTS config
+ * @returns {object} Payment provider (see payments/index.js) + setPayment()
+ */
+function createFakeProvider(config) {
+  const payments = new Map();
+
+  return {
+    name: 'fake',
+
+    async createCheckout(order) {
+      const preferenceId = `fake-pref-${order._id}`;
+      return {
+        preferenceId,
+        checkoutUrl: `${config.publicUrl}/fake-checkout/${preferenceId}`
+      };
+    },
+
+    verifyWebhook(req) {
+      return verifyWebhookSignature(req, config.webhookSecret, { toleranceSeconds: config.webhookToleranceSeconds });
+    },
+
+    parseWebhook(req) {
+      const paymentId = req.body?.data?.id || req.query['data.id'];
+      if (req.body?.type !== 'payment' || !paymentId) return null;
+      return { paymentId: String(paymentId) };
+    },
+
+    async getPayment(paymentId) {
+      const payment = payments.get(String(paymentId));
+      if (!payment) {
+        throw new ApiError(404, `Payment not found: ${paymentId}`);
+      }
+      return { ...payment };
+    },
+
+    /**
+     * Create or update a payment (what the buyer would do in the real checkout)
+     * @param {object} payment - { id, orderId, status, amount, currency }
+     */
+    setPayment(payment) {
+      payments.set(String(payment.id), {
+        statusDetail: null,
+        refundedAmount: 0,
+        currency: config.currency,
+        ...payment,
+        id: String(payment.id),
+        orderId: String(payment.orderId)
+      });
+    }
+  };
+}
+
+module.exports = createFakeProvider;
@@ -0,0 +1,49 @@
+/**
+ * Payments module
+ * Payment providers share one adapter interface:
+ *
+ * - name: provider name stored on the order
+ * - createCheckout(order, { amount, notificationUrl, backUrls }) → { preferenceId, checkoutUrl }
+ * - verifyWebhook(req) → boolean (signature check)
+ * - parseWebhook(req) → { paymentId } | null (null = event to ignore)
+ * - getPayment(paymentId) → { id, status, statusDetail, amount, refundedAmount, currency, orderId }
+ *   status: one of PAYMENT_STATUSES
+ */
+
+const PAYMENTS = require('../config/payments');
+const createMercadoPagoProvider = require('./mercadoPagoProvider');
+const createFakeProvider = require('./fakeProvider');
+
+const PAYMENT_STATUSES = ['pending', 'in_process', 'approved', 'rejected', 'cancelled', 'refunded'];
+
+const PROVIDERS = {
+  mercadopago: createMercadoPagoProvider,
+  fake: createFakeProvider
+};
+
+let provider = null;
+
+/**
+ * Get the configured payment provider (created once)
+ * @returns {object} Payment provider
+ * @throws {Error} If PAYMENT_PROVIDER is unknown, or fake in production
+ */
+function getPaymentProvider() {
+  if (provider) return provider;
+
+  const create = PROVIDERS[PAYMENTS.provider];
+  if (!create) {
+    throw new Error(`Unknown PAYMENT_PROVIDER: ${PAYMENTS.provider}`);
+  }
+  if (PAYMENTS.provider === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  provider = create(PAYMENTS);
+  return provider;
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  getPaymentProvider
+};
@@ -0,0 +1,116 @@
+/**
+ * Mercado Pago payment provider
+ * Checkout Pro preferences + payment lookups through the REST API
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+const { verifyWebhookSignature } = require('./signature');
+
+const API_URL = 'https://api.mercadopago.com';
+
+// Estados de Mercado Pago → estados de pago de la orden
+const STATUS_MAP = {
+  pending: 'pending',
+  authorized: 'in_process',
+  in_process: 'in_process',
+  in_mediation: 'in_process',
+  approved: 'approved',
+  rejected: 'rejected',
+  cancelled: 'cancelled',
+  refunded: 'refunded',
+  charged_back: 'refunded'
+};
+
+/**
+ * Create the Mercado Pago provider
+ * @param {object} config - PAYMENTS config
+ * @returns {object} Payment provider (see payments/index.js)
+ */
+function createMercadoPagoProvider(config) {
+  const { accessToken, sandbox } = config.mercadoPago;
+
+  /**
+   * Call the Mercado Pago API
+   * @throws {ApiError} 503 without access token, 502 on API errors
+   */
+  async function request(method, path, body = null, headers = {}) {
+    if (!accessToken) {
+      throw new ApiError(503, 'Mercado Pago is not configured (MP_ACCESS_TOKEN)');
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new ApiError(502, `Mercado Pago error: ${data?.message || response.status}`, {
+        status: response.status,
+        provider: 'mercadopago'
+      });
+    }
+    return data;
+  }
+
+  return {
+    name: 'mercadopago',
+
+    async createCheckout(order, { amount, notificationUrl, backUrls }) {
+      const label = order.orderNumber ? `Pedido #${order.orderNumber}` : `Pedido ${order._id}`;
+      const preference = await request('POST', '/checkout/preferences', {
+        // Un solo ítem por el total: descuentos, cupones y envío ya están incluidos
+        items: [{
+          id: String(order._id),
+          title: label,
+          quantity: 1,
+          unit_price: amount,
+          currency_id: config.currency
+        }],
+        external_reference: String(order._id),
+        ...(order.customerEmail && { payer: { email: order.customerEmail } }),
+        ...(notificationUrl && { notification_url: notificationUrl }),
+        ...(backUrls.success && { back_urls: backUrls, auto_return: 'approved' }),
+        metadata: { order_number: order.orderNumber || null }
+      }, {
+        'X-Idempotency-Key': `checkout-${order._id}-${amount}`
+      });
+
+      return {
+        preferenceId: preference.id,
+        checkoutUrl: sandbox ? preference.sandbox_init_point : preference.init_point
+      };
+    },
+
+    verifyWebhook(req) {
+      return verifyWebhookSignature(req, config.webhookSecret, { toleranceSeconds: config.webhookToleranceSeconds });
+    },
+
+    parseWebhook(req) {
+      const type = req.body?.type || req.query.type || req.query.topic;
+      const paymentId = req.body?.data?.id || req.query['data.id'] || req.query.id;
+      if (type !== 'payment' || !paymentId) return null;
+      return { paymentId: String(paymentId) };
+    },
+
+    async getPayment(paymentId) {
+      const payment = await request('GET', `/v1/payments/${encodeURIComponent(paymentId)}`);
+      return {
+        id: String(payment.id),
+        status: STATUS_MAP[payment.status] || 'pending',
+        statusDetail: payment.status_detail || null,
+        amount: payment.transaction_amount,
+        refundedAmount: payment.transaction_amount_refunded || 0,
+        currency: payment.currency_id,
+        orderId: payment.external_reference || null
+      };
+    }
+  };
+}
+
+module.exports = createMercadoPagoProvider;
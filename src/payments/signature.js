@@ -0,0 +1,77 @@
+/**
+ * Webhook signatures
+ * Mercado Pago scheme: header x-signature "ts=<ts>,v1=<hmac>" where hmac is the
+ * HMAC-SHA256 (hex) of "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+ * ts is checked against the clock so a captured request cannot be replayed later
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Build the signed manifest
+ * @param {object} parts - { dataId, requestId, ts }
+ * @returns {string} Manifest
+ */
+function buildManifest({ dataId, requestId, ts }) {
+  let manifest = '';
+  if (dataId) manifest += `id:${String(dataId).toLowerCase()};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${ts};`;
+  return manifest;
+}
+
+/**
+ * Sign a webhook (used by the fake provider and to build test requests)
+ * @param {object} parts - { dataId, requestId, ts }
+ * @param {string} secret - Webhook secret
+ * @returns {string} x-signature header value
+ */
+function signWebhook({ dataId, requestId, ts = Date.now() }, secret) {
+  const hmac = crypto.createHmac('sha256', secret).update(buildManifest({ dataId, requestId, ts })).digest('hex');
+  return `ts=${ts},v1=${hmac}`;
+}
+
+/**
+ * Milliseconds of a signature timestamp (Mercado Pago sends seconds or milliseconds)
+ * @param {string} ts - ts of the header
+ * @returns {number} Milliseconds since epoch (NaN if not a number)
+ */
+function parseTimestamp(ts) {
+  if (!/^\d+$/.test(ts)) return NaN;
+  const value = Number(ts);
+  return value < 1e12 ? value * 1000 : value;
+}
+
+/**
+ * Verify the x-signature header of a webhook request
+ * @param {object} req - Express request
+ * @param {string} secret - Webhook secret
+ * @param {object} options - { toleranceSeconds } max age (and clock skew) of ts
+ * @returns {boolean} True if the signature is valid and recent
+ */
+function verifyWebhookSignature(req, secret, { toleranceSeconds = 300 } = {}) {
+  const header = req.headers['x-signature'];
+  if (!secret || typeof header !== 'string') return false;
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.split('=').map(value => value.trim()))
+  );
+  if (!parts.ts || !parts.v1) return false;
+
+  const age = Math.abs(Date.now() - parseTimestamp(parts.ts));
+  if (!(age <= toleranceSeconds * 1000)) return false;
+
+  const dataId = req.query['data.id'] ?? req.body?.data?.id;
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(buildManifest({ dataId, requestId: req.headers['x-request-id'], ts: parts.ts }))
+    .digest();
+  const provided = Buffer.from(parts.v1, 'hex');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  signWebhook,
+  verifyWebhookSignature
+};
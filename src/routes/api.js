@@ -7,14 +7,49 @@ const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/genericController');
 const orderController = require('../controllers/orderController');
+const orderDocumentController = require('../controllers/orderDocumentController');
+const productImportController = require('../controllers/productImportController');
 const cache = require('../cache/cacheManager');
+const { authenticate, requireRole, authorize } = require('../middleware/auth');
+const { requireCollection } = require('../middleware/collectionGuard');
+const { idempotent } = require('../middleware/idempotency');
+const { ApiError } = require('../middleware/errorHandler');
+const upload = require('../middleware/upload');
+const spreadsheetUpload = require('../middleware/spreadsheetUpload');
+
+/**
+ * Signed status links (delivery app)
+ * The token in the link is the credential, so these routes are before authenticate.
+ * Links are issued per order, courier and transition by POST /order/:id/status-link
+ */
+const STATUS_LINK_PATH = '/order/:id([0-9a-fA-F]{24})/:status(pending|ready|shipped|delivered|cancelled)';
+
+// Proof-of-delivery photo (same image types and size limit as /api/upload)
+function proofPhoto(req, res, next) {
+  upload.single('photo')(req, res, error => next(error && new ApiError(400, error.message)));
+}
+
+// GET only with ORDER_STATUS_GET_MODE=signed (GPS in ?lat=&lng=)
+router.get(STATUS_LINK_PATH, orderController.updateStatus);
+
+// POST multipart: photo, lat, lng, accuracy
+router.post(STATUS_LINK_PATH, proofPhoto, orderController.confirmStatusLink);
+
+// Read-only delivery status (QR on the receipt)
+router.get('/order/:id([0-9a-fA-F]{24})/tracking', orderController.tracking);
+
+/**
+ * Authentication
+ * Every route below requires an API key (X-API-Key) or a bearer token
+ */
+router.use(authenticate);
 
 /**
  * Cache Management Routes (must be before dynamic routes)
  */
 
 // Get cache statistics
-router.get('/cache/stats', (req, res) => {
+router.get('/cache/stats', requireRole('admin'), (req, res) => {
   const stats = cache.getStats();
   res.json({
     success: true,
@@ -23,7 +58,7 @@ router.get('/cache/stats', (req, res) => {
 });
 
 // Clear all cache or by pattern
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', requireRole('admin'), (req, res) => {
   const { pattern } = req.body;
 
   if (pattern) {
@@ -43,7 +78,7 @@ router.post('/cache/clear', (req, res) => {
 });
 
 // Manual cache cleanup (remove expired entries)
-router.post('/cache/cleanup', (req, res) => {
+router.post('/cache/cleanup', requireRole('admin'), (req, res) => {
   const cleaned = cache.cleanup();
   res.json({
     success: true,
@@ -53,49 +88,91 @@ router.post('/cache/cleanup', (req, res) => {
 
 /**
  * Order Status Routes
- * Quick endpoints to change order status
  *
  * Examples:
- * - GET /api/order/:id/confirmed  - Mark order as confirmed
- * - GET /api/order/:id/pending    - Mark order as pending
- * - GET /api/order/:id/shipped    - Mark order as shipped
- * - GET /api/order/:id/cancelled  - Mark order as cancelled
+ * - POST /api/order/:id/status         { "status": "shipped", "device": "...", "note": "..." }
+ * - POST /api/order/:id/status-link    { "status": "delivered", "courierId": "..." } → signed link
+ * - POST /api/order/:id/cancel         { "reason": "out_of_stock", "items": [{ "refid": "001", "quantity": 1 }] }
+ * - GET  /api/order/:id/receipt.pdf    → customer receipt
+ * - GET  /api/order/ready/packing-slips.pdf → packing slips of every "ready" order
  */
-router.get('/order/:id/:status', orderController.updateStatus);
+// Look up an order by the number customers quote
+router.get('/order/by-number/:number', requireRole('staff', 'delivery'), orderController.getByNumber);
+
+router.post('/order/:id/status', requireRole('staff', 'delivery'), idempotent(), orderController.changeStatus);
+
+router.post('/order/:id/status-link', requireRole('staff'), orderController.createStatusLink);
+
+router.post('/order/:id/cancel', requireRole('staff'), idempotent(), orderController.cancel);
+
+// Printable PDFs (batch route before :id)
+router.get('/order/ready/packing-slips.pdf', requireRole('staff'), orderDocumentController.readyPackingSlips);
+
+router.get('/order/:id/receipt.pdf', requireRole('staff'), orderDocumentController.receipt);
+
+router.get('/order/:id/packing-slip.pdf', requireRole('staff', 'delivery'), orderDocumentController.packingSlip);
 
 /**
  * API Routes Pattern: /api/:database/:collection
  *
  * Examples:
- * - GET    /api/ecommerce/products       - Get all products
- * - GET    /api/ecommerce/products/:id   - Get one product
- * - POST   /api/ecommerce/products       - Create product
- * - PUT    /api/ecommerce/products/:id   - Update product (full)
- * - PATCH  /api/ecommerce/products/:id   - Update product (partial)
- * - DELETE /api/ecommerce/products/:id   - Delete product
+ * - GET    /api/utiles/products       - Get all products
+ * - GET    /api/utiles/products/:id   - Get one product
+ * - POST   /api/utiles/products       - Create product
+ * - PUT    /api/utiles/products/:id   - Update product (full)
+ * - PATCH  /api/utiles/products/:id   - Update product (partial)
+ * - DELETE /api/utiles/products/:id   - Delete product
+ *
+ * Only databases/collections registered in config/collections.js are exposed
  */
 
+// Registry check (404/405) followed by role permission (403)
+const guard = operation => [requireCollection(operation), authorize(operation)];
+
+// Create order: stock check and reservation (must be before dynamic routes)
+router.post('/:database(utiles)/:collection(orders)', guard('create'), orderController.create);
+
+// Import products from a CSV/XLSX file (multipart: file, dryRun), upsert by refid or sku
+function spreadsheetFile(req, res, next) {
+  spreadsheetUpload.single('file')(req, res, error => next(error && new ApiError(400, error.message)));
+}
+router.post('/:database(utiles)/:collection(products)/import', guard('bulk'), spreadsheetFile, productImportController.importProducts);
+
 // Count documents in collection
-router.get('/:database/:collection/count', controller.count);
+router.get('/:database/:collection/count', guard('read'), controller.count);
 
 // Get distinct values for a field
-router.get('/:database/:collection/distinct/:field', controller.distinct);
+router.get('/:database/:collection/distinct/:field', guard('read'), controller.distinct);
+
+// Export as CSV, XLSX or NDJSON (?format=), same filters as the list
+router.get('/:database/:collection/export', requireRole('staff'), guard('read'), controller.exportDocuments);
 
 // Advanced search with aggregation pipeline
-router.post('/:database/:collection/search', controller.search);
+router.post('/:database/:collection/search', guard('search'), controller.search);
 
 // Bulk create (must be before :id route)
-router.post('/:database/:collection/bulk', controller.createMany);
+router.post('/:database/:collection/bulk', guard('bulk'), controller.createMany);
+
+// Bulk update/upsert (must be before :id route)
+router.patch('/:database/:collection/bulk', guard('bulk'), controller.updateMany);
 
 // Bulk delete (must be before :id route)
-router.delete('/:database/:collection/bulk', controller.removeMany);
+router.delete('/:database/:collection/bulk', guard('bulk'), controller.removeMany);
+
+// Trash of collections with soft delete (must be before :id route)
+router.get('/:database/:collection/trash', guard('read'), controller.trash);
+router.post('/:database/:collection/:id/restore', guard('delete'), controller.restore);
+
+// Revision history of a document and revert to one of its revisions
+router.get('/:database/:collection/:id/history', requireRole('staff'), guard('read'), controller.history);
+router.post('/:database/:collection/:id/revert/:revision(\\d+)', requireRole('staff'), guard('update'), controller.revert);
 
 // Standard CRUD operations
-router.get('/:database/:collection', controller.getAll);
-router.get('/:database/:collection/:id', controller.getOne);
-router.post('/:database/:collection', controller.create);
-router.put('/:database/:collection/:id', controller.update);
-router.patch('/:database/:collection/:id', controller.patch);
-router.delete('/:database/:collection/:id', controller.remove);
+router.get('/:database/:collection', guard('read'), controller.getAll);
+router.get('/:database/:collection/:id', guard('read'), controller.getOne);
+router.post('/:database/:collection', guard('create'), controller.create);
+router.put('/:database/:collection/:id', guard('update'), controller.update);
+router.patch('/:database/:collection/:id', guard('update'), controller.patch);
+router.delete('/:database/:collection/:id', guard('delete'), controller.remove);
 
 module.exports = router;
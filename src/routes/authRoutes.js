@@ -0,0 +1,27 @@
+/**
+ * Auth routes
+ * Google Sign-In sessions for the admin app and storefront
+ */
+
+const express = require('express');
+const { googleLogin, refresh, logout, me, updateUser } = require('../controllers/authController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// POST /api/auth/google - Login with a Google ID token
+router.post('/google', googleLogin);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new session token
+router.post('/refresh', refresh);
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', authenticate, logout);
+
+// GET /api/auth/me - Current user
+router.get('/me', authenticate, me);
+
+// PATCH /api/auth/users/:id - Change a user's role or disable it (admin only)
+router.patch('/users/:id', authenticate, requireRole('admin'), updateUser);
+
+module.exports = router;
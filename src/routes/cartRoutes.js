@@ -0,0 +1,17 @@
+/**
+ * Cart routes
+ * Cart quotes (server prices + coupons) for the storefront
+ */
+
+const express = require('express');
+const { quote } = require('../controllers/cartController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/cart/quote - Price a cart and evaluate a coupon without creating an order
+router.post('/quote', requireRole('storefront', 'staff', 'customer'), quote);
+
+module.exports = router;
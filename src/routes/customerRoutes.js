@@ -0,0 +1,29 @@
+/**
+ * Customer routes
+ * Customer history for the admin app and "my orders" for signed-in customers
+ */
+
+const express = require('express');
+const { getOne, orders, me, updateMe, myOrders } = require('../controllers/customerController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/customers/me - Signed-in customer's profile and stats (must be before /:id)
+router.get('/me', requireRole('customer'), me);
+
+// PATCH /api/customers/me - Update name, phone, saved addresses and contact preferences
+router.patch('/me', requireRole('customer'), updateMe);
+
+// GET /api/customers/me/orders - Signed-in customer's orders
+router.get('/me/orders', requireRole('customer'), myOrders);
+
+// GET /api/customers/:id - Customer with lifetime stats
+router.get('/:id', requireRole('staff'), getOne);
+
+// GET /api/customers/:id/orders - Orders of a customer
+router.get('/:id/orders', requireRole('staff'), orders);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Inventory routes
+ * Stock ledger queries, reconciliation and low-stock report
+ */
+
+const express = require('express');
+const { lowStock, movements, reconcileReport, reconcileApply } = require('../controllers/inventoryController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/inventory/low-stock - Products below their low-stock threshold
+router.get('/low-stock', requireRole('staff'), lowStock);
+
+// GET /api/inventory/reconcile - Report stock mismatches against the ledger
+router.get('/reconcile', requireRole('staff'), reconcileReport);
+
+// POST /api/inventory/reconcile - Record reconciliation movements for mismatches
+router.post('/reconcile', requireRole('admin'), reconcileApply);
+
+// GET /api/inventory/:refid/movements - Stock movements of a product
+router.get('/:refid/movements', requireRole('staff'), movements);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * Payment routes
+ * Checkout for orders and provider webhooks
+ */
+
+const express = require('express');
+const { checkout, webhook } = require('../controllers/paymentController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// POST /api/payments/webhook - Provider notifications (verified by signature, no API key)
+router.post('/webhook', webhook);
+
+router.use(authenticate);
+
+// POST /api/payments/checkout/:orderId - Create a checkout for an order
+router.post('/checkout/:orderId', requireRole('storefront', 'staff', 'customer'), checkout);
+
+module.exports = router;
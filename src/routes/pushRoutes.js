@@ -39,7 +39,8 @@ router.post('/register', async (req, res) => {
         },
         $setOnInsert: {
           createdAt: new Date()
-        }
+        },
+        $inc: { version: 1 }
       },
       { upsert: true }
     );
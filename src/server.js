@@ -13,12 +13,21 @@ const cors = require('cors');
 const http = require('http');
 const { Server } = require('socket.io');
 const { connectToDatabase, closeConnection, isConnected } = require('./config/database');
+const { ensureIndexes } = require('./config/indexes');
+const { startReservationSweeper } = require('./controllers/orderController');
+const { startTrashPurge } = require('./utils/trash');
 const apiRoutes = require('./routes/api');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const pushRoutes = require('./routes/pushRoutes');
+const authRoutes = require('./routes/authRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const requestId = require('./middleware/requestId');
 
 // Initialize Express app
 const app = express();
@@ -94,12 +103,14 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'Idempotency-Key', 'X-Request-Id', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['X-Request-Id', 'ETag'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
 
 // Middleware
+app.use(requestId);
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -143,6 +154,12 @@ app.get('/api-docs', (req, res) => {
     title: 'Utiles Backend API Documentation',
     version: '1.0.0',
     baseUrl: '/api/:database/:collection',
+    authentication: {
+      apiKey: 'Header "X-API-Key: <key>" (machines, keys configured in API_KEYS)',
+      bearer: 'Header "Authorization: Bearer <token>" (admin panel, token from POST /api/auth/google)',
+      roles: ['admin', 'staff', 'storefront', 'delivery']
+    },
+    collections: 'Only registered databases/collections are exposed (src/config/collections.js), others return 404',
     endpoints: [
       {
         method: 'GET',
@@ -156,13 +173,14 @@ app.get('/api-docs', (req, res) => {
           '[field]': 'Filter by field value',
           '[field]=gte:value': 'Greater than or equal',
           '[field]=lte:value': 'Less than or equal',
-          '[field]=regex:pattern': 'Regex search (case insensitive)'
+          '[field]=regex:pattern': 'Regex search (case insensitive)',
+          includeDeleted: 'true to include documents in the trash (collections with soft delete)'
         }
       },
       {
         method: 'GET',
         path: '/api/:database/:collection/:id',
-        description: 'Get a single document by ID'
+        description: 'Get a single document by ID. The ETag header is its version; send If-None-Match to get 304 when unchanged'
       },
       {
         method: 'POST',
@@ -170,6 +188,12 @@ app.get('/api-docs', (req, res) => {
         description: 'Create a new document',
         body: 'JSON object with document data'
       },
+      {
+        method: 'POST',
+        path: '/api/utiles/orders',
+        description: 'Create an order. Items are priced on the server (quantity discounts, shipping); orders whose totals.total differs beyond ORDER_TOTAL_TOLERANCE are rejected with 409. The order is linked to a customer by customerEmail or customerPhone',
+        body: '{ "items": [{ "refid": "001", "quantity": 2 }], "customerName": "...", "customerEmail": "...", "customerPhone": "...", "shippingMethod": "delivery|pickup", "couponCode": "VUELTA10", "totals": { "total": 1234 } }'
+      },
       {
         method: 'POST',
         path: '/api/:database/:collection/bulk',
@@ -179,24 +203,51 @@ app.get('/api-docs', (req, res) => {
       {
         method: 'PUT',
         path: '/api/:database/:collection/:id',
-        description: 'Update a document (full replacement)',
+        description: 'Update a document (full replacement). With If-Match only the version the client read is updated, otherwise 412 with the current document',
         body: 'JSON object with updated data'
       },
       {
         method: 'PATCH',
         path: '/api/:database/:collection/:id',
-        description: 'Partially update a document',
+        description: 'Partially update a document. With If-Match only the version the client read is updated, otherwise 412 with the current document',
         body: 'JSON object with fields to update'
       },
       {
         method: 'DELETE',
         path: '/api/:database/:collection/:id',
-        description: 'Delete a document by ID'
+        description: 'Delete a document by ID (collections with soft delete move it to the trash)'
+      },
+      {
+        method: 'GET',
+        path: '/api/:database/:collection/trash',
+        description: 'Deleted documents of a collection with soft delete, with the date they will be purged'
+      },
+      {
+        method: 'POST',
+        path: '/api/:database/:collection/:id/restore',
+        description: 'Restore a document from the trash'
+      },
+      {
+        method: 'GET',
+        path: '/api/:database/:collection/:id/history',
+        description: 'Revisions of a document, newest first: field changes (from/to), operation, actor and request ID (staff)',
+        queryParams: { page: 'Page number (starts at 1)', limit: 'Revisions per page (max 200)' }
+      },
+      {
+        method: 'POST',
+        path: '/api/:database/:collection/:id/revert/:revision',
+        description: 'Revert a document to how it was after a revision, recorded as a new revision (staff). Server-managed order fields are not reverted'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/:database/:collection/bulk',
+        description: 'Update or upsert many documents in one bulkWrite, with a result per operation. Stock changes of products are recorded in the inventory ledger',
+        body: '{ "operations": [{ "id": "...", "set": { "precio": 120 } }, { "filter": { "categoria": "Cuadernos" }, "inc": { "precio": 10 } }, { "key": "001", "set": { "precio": 100, "stock": 5 } }], "matchOn": "refid", "ordered": true }'
       },
       {
         method: 'DELETE',
         path: '/api/:database/:collection/bulk',
-        description: 'Delete multiple documents by filter',
+        description: 'Delete multiple documents by filter (up to DELETE_MAX_DOCUMENTS, 1000 by default)',
         body: 'JSON object with filter criteria'
       },
       {
@@ -209,12 +260,177 @@ app.get('/api-docs', (req, res) => {
         path: '/api/:database/:collection/distinct/:field',
         description: 'Get distinct values for a field'
       },
+      {
+        method: 'POST',
+        path: '/api/utiles/products/import',
+        description: 'Import products from a CSV/XLSX file (multipart: file, dryRun). Rows are matched by refid or sku; dryRun=true returns new/changed/unchanged/error rows without writing. Numbers accept 1.234,50 or 1,234.50; ambiguous ones ("1.500", "1,500") are row errors',
+        body: 'multipart/form-data: file=<catalogo.xlsx>, dryRun=true'
+      },
+      {
+        method: 'GET',
+        path: '/api/:database/:collection/export?format=csv|xlsx|ndjson',
+        description: 'Download documents as a spreadsheet (same filters, sort and fields as the list; nested fields as columns like totals.total)'
+      },
       {
         method: 'POST',
         path: '/api/:database/:collection/search',
         description: 'Advanced search with aggregation pipeline',
         body: '{ "pipeline": [...] }'
       },
+      {
+        method: 'POST',
+        path: '/api/auth/google',
+        description: 'Login with a Google ID token, returns a session token and refresh token',
+        body: '{ "idToken": "..." }'
+      },
+      {
+        method: 'POST',
+        path: '/api/auth/refresh',
+        description: 'Exchange a refresh token for a new session token',
+        body: '{ "refreshToken": "..." }'
+      },
+      {
+        method: 'POST',
+        path: '/api/auth/logout',
+        description: 'Revoke the current session'
+      },
+      {
+        method: 'GET',
+        path: '/api/auth/me',
+        description: 'Get the logged in user'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/auth/users/:id',
+        description: 'Change the role of a user or disable it (admin only). Signs the user out of every session',
+        body: '{ "role": "staff", "active": true }'
+      },
+      {
+        method: 'POST',
+        path: '/api/order/:id/status',
+        description: 'Change order status (stock is adjusted in the same transaction). Send an Idempotency-Key header so retries return the first result',
+        body: '{ "status": "ready|shipped|delivered|cancelled|pending", "device": "...", "note": "...", "reason": "required to cancel" }'
+      },
+      {
+        method: 'POST',
+        path: '/api/order/:id/cancel',
+        description: 'Cancel an order (no items) or some of its items. Restores stock of the cancelled items, recomputes totals and creates a refund record',
+        body: '{ "reason": "customer_request|out_of_stock|payment_failed|duplicate|fraud|delivery_failed|other", "note": "...", "items": [{ "refid": "001", "quantity": 1 }] }'
+      },
+      {
+        method: 'POST',
+        path: '/api/order/:id/status-link',
+        description: 'Issue a signed link for one courier and one transition (from defaults to the current status; expiresInMinutes is capped at ORDER_STATUS_LINK_MAX_MINUTES)',
+        body: '{ "status": "delivered", "courierId": "...", "courierName": "...", "device": "...", "from": "shipped", "expiresInMinutes": 1440 }'
+      },
+      {
+        method: 'POST',
+        path: '/api/order/:id/:status?token=...',
+        description: 'Use a signed link with proof of delivery (multipart: photo, lat, lng, accuracy). Records courier, time, GPS and photo'
+      },
+      {
+        method: 'GET',
+        path: '/api/order/:id/:status?token=...',
+        description: 'Use a signed link (optional ?lat=&lng=). Only with ORDER_STATUS_GET_MODE=signed'
+      },
+      {
+        method: 'GET',
+        path: '/api/order/:id/receipt.pdf',
+        description: 'Customer receipt (PDF) with a QR to the delivery tracking link'
+      },
+      {
+        method: 'GET',
+        path: '/api/order/:id/packing-slip.pdf',
+        description: 'Packing slip (PDF): customer, address, items and a QR to the read-only delivery tracking link'
+      },
+      {
+        method: 'GET',
+        path: '/api/order/ready/packing-slips.pdf',
+        description: 'Packing slips of every order ready to ship, one page per order'
+      },
+      {
+        method: 'GET',
+        path: '/api/order/:id/tracking?token=...',
+        description: 'Delivery status of an order from a signed tracking link (no API key)'
+      },
+      {
+        method: 'GET',
+        path: '/api/order/by-number/:number',
+        description: 'Get an order by its number (e.g. 42, #42 or 2026-00042)'
+      },
+      {
+        method: 'POST',
+        path: '/api/cart/quote',
+        description: 'Price a cart and evaluate a coupon without creating an order',
+        body: '{ "items": [{ "refid": "001", "quantity": 2 }], "shippingMethod": "delivery|pickup", "couponCode": "VUELTA10", "customerEmail": "..." }'
+      },
+      {
+        method: 'GET',
+        path: '/api/customers/:id',
+        description: 'Customer with lifetime stats (order count, total spent, last order date)'
+      },
+      {
+        method: 'GET',
+        path: '/api/customers/:id/orders',
+        description: 'Orders of a customer, newest first',
+        queryParams: {
+          page: 'Page number (starts at 1)',
+          limit: 'Orders per page (max 100)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/customers/me',
+        description: 'Profile and stats of the signed-in customer'
+      },
+      {
+        method: 'PATCH',
+        path: '/api/customers/me',
+        description: 'Update the signed-in customer profile',
+        body: '{ "name": "...", "phone": "...", "addresses": [{ "label": "Casa", "street": "...", "city": "..." }], "contactPreferences": { "whatsapp": true } }'
+      },
+      {
+        method: 'GET',
+        path: '/api/customers/me/orders',
+        description: 'Orders of the signed-in customer ("my orders"), only those placed with the account email'
+      },
+      {
+        method: 'POST',
+        path: '/api/payments/checkout/:orderId',
+        description: 'Create a checkout (Mercado Pago preference) for an order, returns checkoutUrl'
+      },
+      {
+        method: 'POST',
+        path: '/api/payments/webhook',
+        description: 'Payment provider webhook (x-signature, no API key). Records paymentStatus on the order; approved → ready, refunded → cancelled'
+      },
+      {
+        method: 'GET',
+        path: '/api/inventory/:refid/movements',
+        description: 'Stock movements of a product (inventory ledger)',
+        queryParams: {
+          page: 'Page number (starts at 1)',
+          limit: 'Movements per page (max 200)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/inventory/low-stock',
+        description: 'Products below their low-stock threshold (stockMinimo or LOW_STOCK_THRESHOLD)',
+        queryParams: {
+          includeInactive: 'Include inactive products (true/false)'
+        }
+      },
+      {
+        method: 'GET',
+        path: '/api/inventory/reconcile',
+        description: 'Recompute stock from the ledger and report mismatches against products.stock'
+      },
+      {
+        method: 'POST',
+        path: '/api/inventory/reconcile',
+        description: 'Record reconciliation movements so the ledger matches products.stock'
+      },
       {
         method: 'GET',
         path: '/api/cache/stats',
@@ -233,19 +449,24 @@ app.get('/api-docs', (req, res) => {
       }
     ],
     examples: {
-      getAllProducts: 'GET /api/ecommerce/products',
-      getProductById: 'GET /api/ecommerce/products/507f1f77bcf86cd799439011',
-      createProduct: 'POST /api/ecommerce/products with JSON body',
-      filterByCategory: 'GET /api/ecommerce/products?category=notebooks',
-      paginateResults: 'GET /api/ecommerce/products?page=1&limit=10',
-      sortResults: 'GET /api/ecommerce/products?sort=price:asc',
-      searchByName: 'GET /api/ecommerce/products?name=regex:pencil',
+      getAllProducts: 'GET /api/utiles/products',
+      getProductById: 'GET /api/utiles/products/507f1f77bcf86cd799439011',
+      createProduct: 'POST /api/utiles/products with JSON body',
+      filterByCategory: 'GET /api/utiles/products?category=notebooks',
+      paginateResults: 'GET /api/utiles/products?page=1&limit=10',
+      sortResults: 'GET /api/utiles/products?sort=price:asc',
+      searchByName: 'GET /api/utiles/products?name=regex:pencil',
       clearProductsCache: 'POST /api/cache/clear with { "pattern": "utiles/products" }'
     }
   });
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/push', pushRoutes);
 app.use('/api/upload', uploadRoutes);
@@ -270,6 +491,9 @@ async function startServer() {
   try {
     // Connect to MongoDB
     await connectToDatabase();
+    await ensureIndexes();
+    startReservationSweeper();
+    startTrashPurge();
 
     // Start HTTP server (with Socket.io)
     server.listen(PORT, () => {
@@ -0,0 +1,29 @@
+/**
+ * Counters utility
+ * Atomic sequences stored in utiles/counters ({ _id: name, seq })
+ */
+
+const { getCollection } = require('../config/database');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'counters';
+
+/**
+ * Get the next value of a sequence (creates it starting at 1)
+ * Values are unique but may have gaps (e.g. if the caller fails afterwards)
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next value
+ */
+async function nextSequence(name) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const counter = await col.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return counter.seq;
+}
+
+module.exports = {
+  nextSequence
+};
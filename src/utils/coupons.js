@@ -0,0 +1,271 @@
+/**
+ * Coupons utility
+ * Evaluates coupon codes against a priced cart and records redemptions
+ *
+ * Coupon document (utiles/coupons):
+ * - code: unique, case-insensitive
+ * - type: 'percentage' (value = percent) | 'fixed' (value = amount) |
+ *         'buy_x_get_y' (buyQuantity N + getQuantity M: cheapest M of every N+M eligible units are free)
+ * - maxDiscount: cap for percentage coupons
+ * - minCartTotal: minimum cart subtotal after quantity discounts
+ * - eligibility: { refids: [], categories: [] } (empty = whole cart)
+ * - startsAt / endsAt: validity window
+ * - usageLimit: total redemptions, perCustomerLimit: redemptions per customer
+ * - usageCount: redemptions of orders not cancelled (managed by the server)
+ * - active: false disables the coupon
+ */
+
+const { getCollection } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { roundMoney } = require('./pricing');
+const { getCustomerIdentity } = require('./customers');
+
+const DATABASE = 'utiles';
+const COUPONS_COLLECTION = 'coupons';
+const REDEMPTIONS_COLLECTION = 'couponRedemptions';
+
+const COUPON_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+// Codes are matched ignoring case and accents ("vuelta10" = "VUELTA10")
+const CODE_COLLATION = { locale: 'es', strength: 1 };
+
+/**
+ * Identify the customer redeeming a coupon (for per-customer limits)
+ * @param {object} data - Order or cart body (customerEmail, customerPhone)
+ * @param {object} auth - req.auth
+ * @returns {string|null} 'email:<email>', 'phone:<digits>' or null
+ */
+function getCustomerKey(data = {}, auth = null) {
+  const { email, phone } = getCustomerIdentity(data, auth);
+  if (email) return `email:${email}`;
+  return phone ? `phone:${phone}` : null;
+}
+
+/**
+ * Check if a priced line is eligible for a coupon
+ * @param {object} item - Priced item
+ * @param {object} coupon - Coupon
+ * @returns {boolean} True if eligible
+ */
+function isItemEligible(item, coupon) {
+  const refids = coupon.eligibility?.refids || [];
+  const categories = coupon.eligibility?.categories || [];
+  if (refids.length === 0 && categories.length === 0) return true;
+  return refids.includes(item.refid) || (!!item.category && categories.includes(item.category));
+}
+
+/**
+ * Discount of a coupon over its eligible lines
+ * @param {object} coupon - Coupon
+ * @param {object[]} items - Eligible priced items
+ * @returns {number} Discount amount
+ */
+function computeDiscount(coupon, items) {
+  const eligibleTotal = roundMoney(items.reduce((sum, item) => sum + item.total, 0));
+
+  switch (coupon.type) {
+    case 'percentage': {
+      const discount = roundMoney(eligibleTotal * (coupon.value || 0) / 100);
+      return coupon.maxDiscount > 0 ? Math.min(discount, coupon.maxDiscount) : discount;
+    }
+    case 'fixed':
+      return roundMoney(Math.min(coupon.value || 0, eligibleTotal));
+    case 'buy_x_get_y': {
+      const buy = coupon.buyQuantity || 0;
+      const get = coupon.getQuantity || 0;
+      if (buy < 1 || get < 1) return 0;
+
+      // Precio unitario efectivo (con descuento por cantidad), el más barato sale gratis
+      const unitPrices = items
+        .flatMap(item => Array(item.quantity).fill(item.total / item.quantity))
+        .sort((a, b) => a - b);
+      const freeUnits = Math.floor(unitPrices.length / (buy + get)) * get;
+      return roundMoney(unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0));
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Evaluate a coupon code against a priced cart
+ * @param {string} code - Coupon code
+ * @param {object} priced - Result of priceItems
+ * @param {object} options - { customerKey, session, now }
+ * @returns {Promise<object>} { valid: true, coupon, discount, refids } or { valid: false, code, reason }
+ */
+async function evaluateCoupon(code, priced, { customerKey = null, session = null, now = new Date() } = {}) {
+  const normalized = typeof code === 'string' ? code.trim() : '';
+  const invalid = reason => ({ valid: false, code: normalized, reason });
+
+  if (!normalized) return invalid('Coupon code is required');
+
+  const coupon = await getCollection(DATABASE, COUPONS_COLLECTION)
+    .findOne({ code: normalized }, { collation: CODE_COLLATION, session });
+
+  if (!coupon) return invalid('Coupon not found');
+  if (coupon.active === false) return invalid('Coupon is not active');
+  if (!COUPON_TYPES.includes(coupon.type)) return invalid('Coupon is misconfigured');
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return invalid('Coupon is not valid yet');
+  if (coupon.endsAt && new Date(coupon.endsAt) < now) return invalid('Coupon has expired');
+  if (coupon.usageLimit > 0 && (coupon.usageCount || 0) >= coupon.usageLimit) {
+    return invalid('Coupon usage limit reached');
+  }
+
+  if (coupon.perCustomerLimit > 0) {
+    if (!customerKey) return invalid('Coupon requires customer email or phone');
+    const used = await getCollection(DATABASE, REDEMPTIONS_COLLECTION)
+      .countDocuments({ couponId: coupon._id, customerKey, releasedAt: null }, { session });
+    if (used >= coupon.perCustomerLimit) return invalid('Coupon already used by this customer');
+  }
+
+  const cartTotal = roundMoney(priced.totals.subtotal - priced.totals.discount);
+  if (coupon.minCartTotal > 0 && cartTotal < coupon.minCartTotal) {
+    return invalid(`Minimum cart total for this coupon is ${coupon.minCartTotal}`);
+  }
+
+  const eligibleItems = priced.items.filter(item => isItemEligible(item, coupon));
+  if (eligibleItems.length === 0) return invalid('No items in the cart are eligible for this coupon');
+
+  const discount = computeDiscount(coupon, eligibleItems);
+  if (discount <= 0) return invalid('Cart does not meet the coupon conditions');
+
+  return {
+    valid: true,
+    coupon,
+    discount,
+    refids: [...new Set(eligibleItems.map(item => item.refid))]
+  };
+}
+
+/**
+ * Apply a coupon evaluation to the cart totals
+ * @param {object} totals - Totals from priceItems
+ * @param {object} evaluation - Result of evaluateCoupon (ignored if not valid)
+ * @returns {object} Totals with couponDiscount
+ */
+function applyCouponToTotals(totals, evaluation) {
+  const couponDiscount = evaluation && evaluation.valid ? evaluation.discount : 0;
+  return {
+    ...totals,
+    couponDiscount,
+    total: roundMoney(Math.max(0, totals.subtotal - totals.discount - couponDiscount) + totals.shipping)
+  };
+}
+
+/**
+ * Summary of a coupon evaluation for responses and orders
+ * @param {object} evaluation - Result of evaluateCoupon
+ * @returns {object} { code, valid, reason } or { code, valid, couponId, type, discount, refids }
+ */
+function describeCoupon(evaluation) {
+  if (!evaluation.valid) {
+    return { code: evaluation.code, valid: false, reason: evaluation.reason };
+  }
+  return {
+    code: evaluation.coupon.code,
+    valid: true,
+    couponId: evaluation.coupon._id,
+    type: evaluation.coupon.type,
+    discount: evaluation.discount,
+    refids: evaluation.refids
+  };
+}
+
+/**
+ * Coupon discount of an order after some of its items were cancelled
+ * Recomputed with the coupon rules over the remaining eligible lines, never above the original discount
+ * @param {object} orderCoupon - order.coupon ({ couponId, discount, refids })
+ * @param {object[]} items - Remaining priced items (line totals already recomputed)
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<number>} Discount
+ */
+async function recomputeCouponDiscount(orderCoupon, items, session = null) {
+  if (!orderCoupon || !orderCoupon.discount) return 0;
+
+  const coupon = await getCollection(DATABASE, COUPONS_COLLECTION).findOne({ _id: orderCoupon.couponId }, { session });
+  const eligibleItems = items.filter(item => (orderCoupon.refids || []).includes(item.refid));
+  if (!coupon || eligibleItems.length === 0) return 0;
+
+  return Math.min(orderCoupon.discount, computeDiscount(coupon, eligibleItems));
+}
+
+/**
+ * Redeem a coupon for an order (inside the order transaction)
+ * Every redemption increments the coupon document, so concurrent redemptions of the
+ * same coupon conflict and are retried: the limits checked in evaluateCoupon hold
+ * @param {object} evaluation - Valid result of evaluateCoupon
+ * @param {object} context - { orderId, customerKey, actor }
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<object>} Redemption record
+ * @throws {ApiError} 409 if the usage limit was reached meanwhile
+ */
+async function redeemCoupon(evaluation, { orderId, customerKey = null, actor = null }, session = null) {
+  const { coupon, discount } = evaluation;
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit > 0) {
+    filter.usageCount = { $not: { $gte: coupon.usageLimit } };
+  }
+
+  const updated = await getCollection(DATABASE, COUPONS_COLLECTION).findOneAndUpdate(
+    filter,
+    { $inc: { usageCount: 1, version: 1 }, $set: { lastRedeemedAt: new Date() } },
+    { session, returnDocument: 'after' }
+  );
+
+  if (!updated) {
+    throw new ApiError(409, 'Coupon usage limit reached', { code: coupon.code });
+  }
+
+  const redemption = {
+    couponId: coupon._id,
+    code: coupon.code,
+    orderId,
+    customerKey,
+    discount,
+    actor,
+    createdAt: new Date()
+  };
+  await getCollection(DATABASE, REDEMPTIONS_COLLECTION).insertOne(redemption, { session });
+
+  return redemption;
+}
+
+/**
+ * Release the coupon redemption of a cancelled order (inside the cancellation transaction)
+ * Marks the redemption as released and gives the use back to the coupon limits
+ * @param {object} orderCoupon - order.coupon ({ couponId, ... })
+ * @param {object} context - { orderId, actor }
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<object|null>} Released redemption, or null if there was nothing to release
+ */
+async function releaseCoupon(orderCoupon, { orderId, actor = null }, session = null) {
+  if (!orderCoupon?.couponId || orderCoupon.releasedAt) return null;
+
+  const redemption = await getCollection(DATABASE, REDEMPTIONS_COLLECTION).findOneAndUpdate(
+    { couponId: orderCoupon.couponId, orderId, releasedAt: null },
+    { $set: { releasedAt: new Date(), releasedBy: actor } },
+    { session, returnDocument: 'after' }
+  );
+  if (!redemption) return null;
+
+  await getCollection(DATABASE, COUPONS_COLLECTION).updateOne(
+    { _id: orderCoupon.couponId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1, version: 1 } },
+    { session }
+  );
+
+  return redemption;
+}
+
+module.exports = {
+  COUPON_TYPES,
+  CODE_COLLATION,
+  getCustomerKey,
+  evaluateCoupon,
+  applyCouponToTotals,
+  describeCoupon,
+  recomputeCouponDiscount,
+  redeemCoupon,
+  releaseCoupon
+};
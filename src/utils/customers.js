@@ -0,0 +1,183 @@
+/**
+ * Customers utility
+ * Customers keyed by email or phone, linked to their orders
+ *
+ * Customer document (utiles/customers):
+ * - email (lowercase) and/or phone (digits only), each unique
+ * - name, addresses: [{ label, street, city, ... }]
+ * - contactPreferences: { email, whatsapp, sms, marketing }
+ */
+
+const { getCollection } = require('../config/database');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'customers';
+const ORDERS_COLLECTION = 'orders';
+
+/**
+ * Normalize an email for matching
+ * @param {*} email - Email
+ * @returns {string|null} Lowercase email or null
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Normalize a phone for matching ("+54 9 11 1234-5678" → "5491112345678")
+ * @param {*} phone - Phone
+ * @returns {string|null} Digits or null
+ */
+function normalizePhone(phone) {
+  const digits = typeof phone === 'string' || typeof phone === 'number' ? String(phone).replace(/\D/g, '') : '';
+  return digits || null;
+}
+
+/**
+ * Customer identity of an order or cart
+ * A signed-in customer is always identified by their account email
+ * @param {object} data - Order or cart body (customerEmail, customerPhone)
+ * @param {object} auth - req.auth
+ * @returns {{email: string|null, phone: string|null}} Identity
+ */
+function getCustomerIdentity(data = {}, auth = null) {
+  const accountEmail = auth && auth.role === 'customer' ? normalizeEmail(auth.email) : null;
+  return {
+    email: accountEmail || normalizeEmail(data.customerEmail),
+    phone: normalizePhone(data.customerPhone)
+  };
+}
+
+/**
+ * Find a customer by email or phone
+ * @param {object} identity - { email, phone }
+ * @returns {Promise<object|null>} Customer (email match wins over phone match)
+ */
+async function findCustomer({ email = null, phone = null }) {
+  const col = getCollection(DATABASE, COLLECTION);
+  if (email) {
+    const byEmail = await col.findOne({ email });
+    if (byEmail) return byEmail;
+  }
+  return phone ? col.findOne({ phone }) : null;
+}
+
+/**
+ * Find the customer of an order, creating it on first purchase
+ * Fills in the email/phone/name the customer was missing
+ * @param {object} identity - { email, phone, name }
+ * @returns {Promise<object|null>} Customer or null without email and phone
+ */
+async function findOrCreateCustomer({ email = null, phone = null, name = null }) {
+  if (!email && !phone) return null;
+
+  const col = getCollection(DATABASE, COLLECTION);
+  const now = new Date();
+  let customer = await findCustomer({ email, phone });
+
+  if (!customer) {
+    customer = {
+      ...(email && { email }),
+      ...(phone && { phone }),
+      name: name || null,
+      addresses: [],
+      contactPreferences: {},
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    try {
+      const result = await col.insertOne(customer);
+      customer._id = result.insertedId;
+      return customer;
+    } catch (error) {
+      // Otra orden del mismo cliente lo creó al mismo tiempo
+      if (error.code !== 11000) throw error;
+      customer = await findCustomer({ email, phone });
+      if (!customer) throw error;
+    }
+  }
+
+  const missing = {};
+  if (email && !customer.email) missing.email = email;
+  if (phone && !customer.phone) missing.phone = phone;
+  if (name && !customer.name) missing.name = name;
+
+  if (Object.keys(missing).length > 0) {
+    try {
+      await col.updateOne({ _id: customer._id }, { $set: { ...missing, updatedAt: now }, $inc: { version: 1 } });
+      Object.assign(customer, missing);
+    } catch (error) {
+      // El email/teléfono ya pertenece a otro cliente: se deja como está
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return customer;
+}
+
+/**
+ * Filter for the orders of a customer
+ * Orders are also linked by phone, which nobody verifies: pass the account email
+ * to keep only the orders placed with it (what a signed-in customer may see)
+ * @param {ObjectId} customerId - Customer ID
+ * @param {string|null} email - Only orders with this customerEmail
+ * @returns {object} MongoDB filter
+ */
+function customerOrdersFilter(customerId, email = null) {
+  return email ? { customerId, customerEmail: email } : { customerId };
+}
+
+/**
+ * Lifetime stats of a customer (cancelled orders excluded)
+ * @param {ObjectId} customerId - Customer ID
+ * @param {object} options - { email } (see customerOrdersFilter)
+ * @returns {Promise<object>} { orderCount, totalSpent, firstOrderAt, lastOrderAt }
+ */
+async function getCustomerStats(customerId, { email = null } = {}) {
+  const [stats] = await getCollection(DATABASE, ORDERS_COLLECTION).aggregate([
+    { $match: { ...customerOrdersFilter(customerId, email), status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: null,
+        orderCount: { $sum: 1 },
+        totalSpent: { $sum: { $ifNull: ['$totals.total', { $ifNull: ['$total', 0] }] } },
+        firstOrderAt: { $min: '$createdAt' },
+        lastOrderAt: { $max: '$createdAt' }
+      }
+    }
+  ]).toArray();
+
+  return {
+    orderCount: stats ? stats.orderCount : 0,
+    totalSpent: stats ? Math.round(stats.totalSpent * 100) / 100 : 0,
+    firstOrderAt: stats ? stats.firstOrderAt : null,
+    lastOrderAt: stats ? stats.lastOrderAt : null
+  };
+}
+
+/**
+ * Orders of a customer, newest first
+ * @param {ObjectId} customerId - Customer ID
+ * @param {object} options - { skip, limit, email } (see customerOrdersFilter)
+ * @returns {Promise<{orders: object[], total: number}>} Page of orders
+ */
+async function getCustomerOrders(customerId, { skip = 0, limit = 20, email = null } = {}) {
+  const col = getCollection(DATABASE, ORDERS_COLLECTION);
+  const filter = customerOrdersFilter(customerId, email);
+  const [orders, total] = await Promise.all([
+    col.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+    col.countDocuments(filter)
+  ]);
+  return { orders, total };
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  getCustomerIdentity,
+  findCustomer,
+  findOrCreateCustomer,
+  getCustomerStats,
+  getCustomerOrders
+};
@@ -0,0 +1,245 @@
+/**
+ * Inventory Ledger utility
+ * Records every stock movement in utiles/inventoryMovements
+ * and alerts staff when products run low
+ */
+
+const { getCollection } = require('../config/database');
+const { sendPushToAll } = require('./pushNotification');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'inventoryMovements';
+const PRODUCTS_COLLECTION = 'products';
+
+// Global low-stock threshold (products can override it with stockMinimo)
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Why stock changed
+const MOVEMENT_REASONS = {
+  ORDER_DEDUCTED: 'order_deducted',
+  ORDER_CANCELLED: 'order_cancelled',
+  ORDER_RESERVED: 'order_reserved',
+  RESERVATION_EXPIRED: 'reservation_expired',
+  MANUAL_ADJUSTMENT: 'manual_adjustment',
+  IMPORT: 'import',
+  RECONCILIATION: 'reconciliation'
+};
+
+/**
+ * Record stock movements
+ * @param {object[]} movements - { refid, delta, stock } (stock = resulting stock)
+ * @param {object} details - { reason, orderId, actor }
+ * @param {ClientSession} session - Optional session (write in the same transaction)
+ * @returns {Promise<number>} Number of movements recorded
+ */
+async function recordMovements(movements, { reason, orderId = null, actor = null }, session) {
+  const docs = movements
+    .filter(movement => movement.delta !== 0)
+    .map(movement => ({
+      refid: movement.refid,
+      delta: movement.delta,
+      stock: movement.stock,
+      reason,
+      orderId: orderId || null,
+      actor: actor || null,
+      createdAt: new Date()
+    }));
+
+  if (docs.length === 0) return 0;
+
+  const col = getCollection(DATABASE, COLLECTION);
+  await col.insertMany(docs, session ? { session } : {});
+  return docs.length;
+}
+
+/**
+ * Get the movements of a product, newest first
+ * @param {string} refid - Product refid
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<{movements: object[], total: number}>}
+ */
+async function getMovements(refid, { skip = 0, limit = 50 } = {}) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const [movements, total] = await Promise.all([
+    col.find({ refid }).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).toArray(),
+    col.countDocuments({ refid })
+  ]);
+  return { movements, total };
+}
+
+/**
+ * Recompute stock from the ledger and compare it with products.stock
+ * Products in the trash are left out
+ * @returns {Promise<object[]>} Mismatches { refid, productStock, ledgerStock, difference }
+ */
+async function findMismatches() {
+  const ledger = await getCollection(DATABASE, COLLECTION)
+    .aggregate([{ $group: { _id: '$refid', ledgerStock: { $sum: '$delta' } } }])
+    .toArray();
+  const ledgerByRefid = new Map(ledger.map(entry => [entry._id, entry.ledgerStock]));
+
+  const products = await getCollection(DATABASE, PRODUCTS_COLLECTION)
+    .find({ refid: { $exists: true }, deletedAt: null }, { projection: { refid: 1, stock: 1 } })
+    .toArray();
+
+  const mismatches = [];
+  for (const product of products) {
+    const productStock = Number(product.stock) || 0;
+    const ledgerStock = ledgerByRefid.get(product.refid) || 0;
+    if (productStock !== ledgerStock) {
+      mismatches.push({
+        refid: product.refid,
+        productStock,
+        ledgerStock,
+        difference: productStock - ledgerStock
+      });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Low-stock threshold of a product
+ * @param {object} product - Product document
+ * @returns {number} stockMinimo if it is a number (or numeric string), else the global threshold
+ */
+function getLowStockThreshold(product) {
+  const value = product.stockMinimo;
+  const numeric = typeof value === 'number' || (typeof value === 'string' && value !== '' && value.trim() === value);
+  const own = Number(value);
+  return numeric && Number.isFinite(own) ? own : LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * getLowStockThreshold and the stock read of checkLowStock as aggregation expressions,
+ * so the low-stock list and the alerts agree ('' / null / non-numeric → global threshold)
+ */
+const THRESHOLD_EXPR = {
+  $cond: [
+    { $in: [{ $type: '$stockMinimo' }, ['double', 'int', 'long', 'decimal', 'string']] },
+    { $convert: { input: '$stockMinimo', to: 'double', onError: LOW_STOCK_THRESHOLD, onNull: LOW_STOCK_THRESHOLD } },
+    LOW_STOCK_THRESHOLD
+  ]
+};
+const STOCK_EXPR = {
+  $convert: { input: '$stock', to: 'double', onError: 0, onNull: 0 }
+};
+
+/**
+ * Alert staff about products that fell below their threshold
+ * Each product is alerted once until its stock recovers (lowStockAlertedAt flag)
+ * @param {string[]} refids - Products whose stock just changed
+ * @param {Server} io - Socket.io server (optional)
+ * @returns {Promise<object[]>} Products alerted
+ */
+async function checkLowStock(refids, io) {
+  if (!refids || refids.length === 0) return [];
+
+  const col = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const products = await col.find(
+    { refid: { $in: refids }, deletedAt: null },
+    { projection: { refid: 1, title: 1, nombre: 1, stock: 1, stockMinimo: 1, lowStockAlertedAt: 1 } }
+  ).toArray();
+
+  const recovered = [];
+  const alerted = [];
+
+  for (const product of products) {
+    const threshold = getLowStockThreshold(product);
+    const stock = Number(product.stock) || 0;
+
+    if (stock >= threshold) {
+      if (product.lowStockAlertedAt) recovered.push(product._id);
+      continue;
+    }
+
+    // Claim the alert atomically so concurrent orders do not alert twice
+    const claim = await col.updateOne(
+      { _id: product._id, lowStockAlertedAt: { $exists: false } },
+      { $set: { lowStockAlertedAt: new Date() }, $inc: { version: 1 } }
+    );
+    if (claim.modifiedCount === 1) {
+      alerted.push({
+        refid: product.refid,
+        title: product.title || product.nombre || '',
+        stock,
+        threshold
+      });
+    }
+  }
+
+  if (recovered.length > 0) {
+    await col.updateMany({ _id: { $in: recovered } }, { $unset: { lowStockAlertedAt: '' }, $inc: { version: 1 } });
+  }
+
+  if (alerted.length === 0) return alerted;
+
+  console.log(`[Stock] Stock bajo: ${alerted.map(p => `${p.refid} (${p.stock})`).join(', ')}`);
+
+  if (io) {
+    io.to('admin').emit('inventory:low', { products: alerted });
+  }
+
+  const first = alerted[0];
+  await sendPushToAll({
+    title: alerted.length === 1 ? 'Stock bajo' : `Stock bajo en ${alerted.length} productos`,
+    body: alerted.length === 1
+      ? `${first.title || first.refid}: quedan ${first.stock}`
+      : alerted.map(p => `${p.title || p.refid} (${p.stock})`).join(', '),
+    data: {
+      screen: 'low-stock',
+      refids: alerted.map(p => p.refid)
+    }
+  });
+
+  return alerted;
+}
+
+/**
+ * Products currently below their low-stock threshold
+ * @param {object} options - { includeInactive }
+ * @returns {Promise<object[]>} Products sorted by stock (lowest first)
+ */
+async function getLowStockProducts({ includeInactive = false } = {}) {
+  const col = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const match = {
+    $expr: {
+      $lt: [STOCK_EXPR, THRESHOLD_EXPR]
+    }
+  };
+  if (!includeInactive) {
+    match.activo = { $nin: [false, 'false'] };
+  }
+  // Productos en la papelera no se reponen
+  match.deletedAt = null;
+
+  const products = await col.aggregate([
+    { $match: match },
+    { $sort: { stock: 1, refid: 1 } },
+    {
+      $project: {
+        refid: 1,
+        sku: 1,
+        title: 1,
+        nombre: 1,
+        stock: 1,
+        activo: 1,
+        lowStockAlertedAt: 1,
+        threshold: THRESHOLD_EXPR
+      }
+    }
+  ]).toArray();
+
+  return products;
+}
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  MOVEMENT_REASONS,
+  checkLowStock,
+  getLowStockProducts,
+  recordMovements,
+  getMovements,
+  findMismatches
+};
@@ -0,0 +1,228 @@
+/**
+ * Order PDF utility
+ * Receipts and packing slips (one page per order) with a QR code
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const STORE_NAME = process.env.STORE_NAME || 'Utiles Ya';
+
+const PAGE_MARGIN = 40;
+const QR_SIZE = 110;
+
+const TITLES = {
+  receipt: 'Comprobante de pedido',
+  packingSlip: 'Hoja de entrega'
+};
+
+const moneyFormat = new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' });
+
+/**
+ * Format a money amount ($ 1.234,50)
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount) {
+  return moneyFormat.format(Number(amount) || 0);
+}
+
+/**
+ * Format a date (dd/mm/yyyy hh:mm, Argentina time)
+ * @param {Date|string} date - Date
+ * @returns {string} Formatted date or empty string
+ */
+function formatDate(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleString('es-AR', {
+    timeZone: 'America/Argentina/Buenos_Aires',
+    dateStyle: 'short',
+    timeStyle: 'short'
+  });
+}
+
+/**
+ * Shipping address of an order as text lines
+ * Accepts shippingAddress/address as a string or { street, city, province, postalCode, notes }
+ * @param {object} order - Order
+ * @returns {string[]} Lines (empty if the order has no address)
+ */
+function formatAddress(order) {
+  const address = order.shippingAddress || order.address;
+  if (!address) return [];
+  if (typeof address === 'string') return [address];
+
+  return [
+    address.street,
+    [address.city, address.province, address.postalCode].filter(Boolean).join(', '),
+    address.notes ? `Notas: ${address.notes}` : null
+  ].filter(Boolean);
+}
+
+/**
+ * Width available next to the QR code
+ * @param {PDFDocument} doc - Document
+ * @returns {number} Width in points
+ */
+function textWidthBesideQr(doc) {
+  return doc.page.width - PAGE_MARGIN * 2 - QR_SIZE - 10;
+}
+
+/**
+ * Header: store, document title, order number and date
+ * @param {PDFDocument} doc - Document
+ * @param {string} title - Document title
+ * @param {object} order - Order
+ */
+function drawHeader(doc, title, order) {
+  const width = textWidthBesideQr(doc);
+  doc.fontSize(18).font('Helvetica-Bold').text(STORE_NAME, PAGE_MARGIN, PAGE_MARGIN, { width });
+  doc.fontSize(12).font('Helvetica').text(title, { width });
+  doc.moveDown(0.5);
+  doc.fontSize(14).font('Helvetica-Bold').text(`Pedido #${order.orderNumber || order._id}`, { width });
+  doc.fontSize(10).font('Helvetica').text(`Fecha: ${formatDate(order.createdAt)}`, { width });
+  if (order.shippingMethod) {
+    doc.text(`Envío: ${order.shippingMethod === 'pickup' ? 'Retira en el local' : order.shippingMethod}`, { width });
+  }
+}
+
+/**
+ * Customer name, contact and address
+ * @param {PDFDocument} doc - Document
+ * @param {object} order - Order
+ */
+function drawCustomer(doc, order) {
+  const width = textWidthBesideQr(doc);
+  doc.moveDown();
+  doc.fontSize(11).font('Helvetica-Bold').text('Cliente', { width });
+  doc.fontSize(10).font('Helvetica').text(order.customerName || 'Sin nombre', { width });
+  [order.customerPhone, order.customerEmail].filter(Boolean).forEach(line => doc.text(line, { width }));
+  const address = formatAddress(order);
+  if (address.length > 0) {
+    doc.moveDown(0.3);
+    address.forEach(line => doc.text(line, { width }));
+  }
+}
+
+/**
+ * Items table (refid, title, quantity and, on receipts, amounts)
+ * @param {PDFDocument} doc - Document
+ * @param {object} order - Order
+ * @param {object} options - { withPrices }
+ */
+function drawItems(doc, order, { withPrices }) {
+  const left = PAGE_MARGIN;
+  const columns = withPrices
+    ? { refid: left, title: left + 70, quantity: left + 300, unitPrice: left + 350, total: left + 440 }
+    : { refid: left, title: left + 90, quantity: left + 440 };
+
+  // La tabla empieza debajo del QR
+  let y = Math.max(doc.y + 14, PAGE_MARGIN + QR_SIZE + 24);
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Código', columns.refid, y);
+  doc.text('Producto', columns.title, y);
+  doc.text('Cant.', columns.quantity, y);
+  if (withPrices) {
+    doc.text('Precio', columns.unitPrice, y);
+    doc.text('Total', columns.total, y);
+  }
+  y += 16;
+  doc.moveTo(left, y - 3).lineTo(doc.page.width - PAGE_MARGIN, y - 3).stroke();
+
+  doc.font('Helvetica');
+  (order.items || []).forEach(item => {
+    if (y > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    const titleWidth = columns.quantity - columns.title - 10;
+    doc.text(String(item.refid || ''), columns.refid, y, { width: columns.title - columns.refid - 5 });
+    doc.text(item.title || item.name || '', columns.title, y, { width: titleWidth });
+    const rowBottom = doc.y;
+    doc.text(String(item.quantity || 0), columns.quantity, y);
+    if (withPrices) {
+      doc.text(formatMoney(item.unitPrice), columns.unitPrice, y);
+      doc.text(formatMoney(item.total ?? item.subtotal), columns.total, y);
+    }
+    y = Math.max(rowBottom, y + 14) + 4;
+  });
+
+  doc.y = y;
+}
+
+/**
+ * Totals block (receipts)
+ * @param {PDFDocument} doc - Document
+ * @param {object} order - Order
+ */
+function drawTotals(doc, order) {
+  const totals = order.totals || { total: order.total };
+  const x = doc.page.width - PAGE_MARGIN - 200;
+  const lines = [
+    ['Subtotal', totals.subtotal],
+    ['Descuentos', totals.discount ? -totals.discount : null],
+    ['Cupón', totals.couponDiscount ? -totals.couponDiscount : null],
+    ['Envío', totals.shipping]
+  ].filter(([, amount]) => amount !== undefined && amount !== null);
+
+  doc.moveDown();
+  doc.fontSize(10).font('Helvetica');
+  lines.forEach(([label, amount]) => {
+    doc.text(`${label}: ${formatMoney(amount)}`, x, doc.y, { width: 200, align: 'right' });
+  });
+  doc.fontSize(12).font('Helvetica-Bold');
+  doc.text(`Total: ${formatMoney(totals.total)}`, x, doc.y, { width: 200, align: 'right' });
+  doc.font('Helvetica');
+}
+
+/**
+ * QR code in the top-right corner with a caption
+ * @param {PDFDocument} doc - Document
+ * @param {Buffer} qrImage - PNG
+ * @param {string} caption - Text under the code
+ */
+function drawQr(doc, qrImage, caption) {
+  const x = doc.page.width - PAGE_MARGIN - QR_SIZE;
+  doc.image(qrImage, x, PAGE_MARGIN, { width: QR_SIZE });
+  doc.fontSize(7).text(caption, x, PAGE_MARGIN + QR_SIZE + 2, { width: QR_SIZE, align: 'center' });
+}
+
+/**
+ * Build a PDF with one page per order
+ * @param {object[]} orders - Orders
+ * @param {object} options - { type: 'receipt' | 'packingSlip', qrUrlFor: order => url }
+ * @returns {Promise<PDFDocument>} Finished document (pipe it to the response)
+ */
+async function buildOrdersPdf(orders, { type, qrUrlFor }) {
+  // Los QR se generan antes de empezar el documento: un error no deja un PDF a medias
+  const qrImages = await Promise.all(
+    orders.map(order => QRCode.toBuffer(qrUrlFor(order), { margin: 1, width: QR_SIZE * 2 }))
+  );
+
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, autoFirstPage: false });
+  const withPrices = type === 'receipt';
+  const caption = withPrices ? 'Seguí tu pedido' : 'Estado de la entrega';
+
+  orders.forEach((order, index) => {
+    doc.addPage();
+    drawQr(doc, qrImages[index], caption);
+    drawHeader(doc, TITLES[type], order);
+    drawCustomer(doc, order);
+    drawItems(doc, order, { withPrices });
+    if (withPrices) {
+      drawTotals(doc, order);
+    } else {
+      const units = (order.items || []).reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+      doc.moveDown().fontSize(10).font('Helvetica-Bold')
+        .text(`Unidades: ${units}    Total a cobrar: ${order.paymentStatus === 'approved' ? 'PAGADO' : formatMoney(order.totals?.total ?? order.total)}`, PAGE_MARGIN);
+      doc.font('Helvetica');
+    }
+  });
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  buildOrdersPdf
+};
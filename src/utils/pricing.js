@@ -0,0 +1,177 @@
+/**
+ * Pricing utility
+ * Recomputes order lines and totals from the current products
+ */
+
+const { getCollection } = require('../config/database');
+const { ValidationError } = require('./validation');
+const PRICING = require('../config/pricing');
+
+const DATABASE = 'utiles';
+const PRODUCTS_COLLECTION = 'products';
+
+/**
+ * Round a money amount to 2 decimals
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Quantity discount percent for a total quantity of one product
+ * @param {number} quantity - Total quantity of the product in the cart
+ * @returns {number} Percent (0 if no tier applies)
+ */
+function getQuantityDiscountPercent(quantity) {
+  const tier = PRICING.quantityDiscounts
+    .filter(t => quantity >= t.minQuantity)
+    .sort((a, b) => b.percent - a.percent)[0];
+  return tier ? tier.percent : 0;
+}
+
+/**
+ * Shipping cost for an order
+ * @param {number} amount - Subtotal after discounts
+ * @param {string} shippingMethod - e.g. 'pickup', 'delivery'
+ * @returns {number} Shipping cost
+ */
+function getShippingCost(amount, shippingMethod) {
+  const { cost, freeFrom, freeMethods } = PRICING.shipping;
+  if (freeMethods.includes(shippingMethod)) return 0;
+  if (freeFrom > 0 && amount >= freeFrom) return 0;
+  return roundMoney(cost);
+}
+
+/**
+ * Price a cart from the current products
+ * @param {object[]} items - Cart items { refid, quantity, ... }
+ * @param {object} options - { shippingMethod, session }
+ * @returns {Promise<{items: object[], totals: object}>} Priced snapshot
+ *   items: { refid, title, category, unitPrice, quantity, subtotal, discount, total }
+ *   totals: { subtotal, discount, shipping, total }
+ * @throws {ValidationError} If a product does not exist or has no price
+ */
+async function priceItems(items, { shippingMethod = null, session = null } = {}) {
+  const productsCol = getCollection(DATABASE, PRODUCTS_COLLECTION);
+  const refids = [...new Set(items.map(item => item.refid))];
+
+  const products = await productsCol
+    .find({ refid: { $in: refids }, deletedAt: null }, { session, projection: { refid: 1, title: 1, nombre: 1, precio: 1, category: 1 } })
+    .toArray();
+  const productsByRefid = new Map(products.map(product => [product.refid, product]));
+
+  const errors = [];
+  const quantityByRefid = new Map();
+  items.forEach((item, index) => {
+    const product = productsByRefid.get(item.refid);
+    if (!product) {
+      errors.push({ field: `items[${index}].refid`, message: `product not found: ${item.refid}` });
+    } else if (typeof product.precio !== 'number' || product.precio < 0) {
+      errors.push({ field: `items[${index}].refid`, message: `product has no valid price: ${item.refid}` });
+    }
+    quantityByRefid.set(item.refid, (quantityByRefid.get(item.refid) || 0) + item.quantity);
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  const pricedItems = items.map(item => {
+    const product = productsByRefid.get(item.refid);
+    // Client prices are never trusted
+    const { precio, price, unitPrice, subtotal, discount, discountPercent, total, ...rest } = item;
+
+    const lineSubtotal = roundMoney(product.precio * item.quantity);
+    const percent = getQuantityDiscountPercent(quantityByRefid.get(item.refid));
+    const lineDiscount = roundMoney(lineSubtotal * percent / 100);
+
+    return {
+      ...rest,
+      refid: item.refid,
+      title: product.title || product.nombre || rest.title || '',
+      ...(product.category && { category: product.category }),
+      unitPrice: product.precio,
+      quantity: item.quantity,
+      subtotal: lineSubtotal,
+      discount: lineDiscount,
+      ...(percent > 0 && { discountPercent: percent }),
+      total: roundMoney(lineSubtotal - lineDiscount)
+    };
+  });
+
+  const itemsSubtotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.subtotal, 0));
+  const itemsDiscount = roundMoney(pricedItems.reduce((sum, item) => sum + item.discount, 0));
+  const shipping = getShippingCost(itemsSubtotal - itemsDiscount, shippingMethod);
+
+  return {
+    items: pricedItems,
+    totals: {
+      subtotal: itemsSubtotal,
+      discount: itemsDiscount,
+      shipping,
+      total: roundMoney(itemsSubtotal - itemsDiscount + shipping)
+    }
+  };
+}
+
+/**
+ * Recompute line amounts and totals of an order after removing items
+ * Uses the unit prices stored on the order (current product prices are not applied)
+ * @param {object[]} items - Remaining priced items (unitPrice, quantity)
+ * @param {object} options - { shipping, couponDiscount } kept from the original order
+ * @returns {{items: object[], totals: object}} Recomputed snapshot
+ */
+function recomputeTotals(items, { shipping = 0, couponDiscount = 0 } = {}) {
+  const quantityByRefid = new Map();
+  items.forEach(item => quantityByRefid.set(item.refid, (quantityByRefid.get(item.refid) || 0) + item.quantity));
+
+  const recomputed = items.map(item => {
+    const { discountPercent, ...rest } = item;
+    const lineSubtotal = roundMoney(item.unitPrice * item.quantity);
+    const percent = getQuantityDiscountPercent(quantityByRefid.get(item.refid));
+    const lineDiscount = roundMoney(lineSubtotal * percent / 100);
+
+    return {
+      ...rest,
+      subtotal: lineSubtotal,
+      discount: lineDiscount,
+      ...(percent > 0 && { discountPercent: percent }),
+      total: roundMoney(lineSubtotal - lineDiscount)
+    };
+  });
+
+  const subtotal = roundMoney(recomputed.reduce((sum, item) => sum + item.subtotal, 0));
+  const discount = roundMoney(recomputed.reduce((sum, item) => sum + item.discount, 0));
+
+  return {
+    items: recomputed,
+    totals: {
+      subtotal,
+      discount,
+      shipping,
+      couponDiscount,
+      total: roundMoney(Math.max(0, subtotal - discount - couponDiscount) + shipping)
+    }
+  };
+}
+
+/**
+ * Check if a client total matches the server total within the tolerance
+ * @param {*} clientTotal - Total sent by the client (may be missing)
+ * @param {number} serverTotal - Total computed by the server
+ * @returns {boolean} True if missing or within tolerance
+ */
+function totalsMatch(clientTotal, serverTotal) {
+  if (clientTotal === undefined || clientTotal === null || clientTotal === '') return true;
+  const amount = Number(clientTotal);
+  return Number.isFinite(amount) && Math.abs(amount - serverTotal) <= PRICING.totalTolerance;
+}
+
+module.exports = {
+  roundMoney,
+  priceItems,
+  recomputeTotals,
+  totalsMatch
+};
@@ -0,0 +1,185 @@
+/**
+ * Query Guard
+ * Rejects dangerous operators in filters and aggregation pipelines
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+const { isOperationAllowed } = require('../config/collections');
+
+// Server-side JavaScript execution, never allowed in client input
+const FORBIDDEN_OPERATORS = ['$where', '$function', '$accumulator'];
+
+// Stages that write data or expose server internals
+const FORBIDDEN_STAGES = [
+  '$out',
+  '$merge',
+  '$currentOp',
+  '$listSessions',
+  '$listLocalSessions',
+  '$listSampledQueries',
+  '$collStats',
+  '$indexStats',
+  '$planCacheStats',
+  '$changeStream',
+  '$changeStreamSplitLargeEvent'
+];
+
+// Stages that read from another collection
+const LOOKUP_STAGES = ['$lookup', '$graphLookup', '$unionWith'];
+
+// Maximum documents returned by a search pipeline
+const MAX_PIPELINE_LIMIT = parseInt(process.env.SEARCH_MAX_LIMIT) || 1000;
+
+// Maximum execution time for client-driven queries
+const QUERY_MAX_TIME_MS = parseInt(process.env.QUERY_MAX_TIME_MS) || 5000;
+
+/**
+ * Recursively reject forbidden operators
+ * @param {*} value - Filter or expression to inspect
+ * @param {string} path - Current path (for error messages)
+ * @throws {ApiError} 400 naming the rejected operator
+ */
+function assertNoForbiddenOperators(value, path) {
+  if (!value || typeof value !== 'object' || value instanceof Date) return;
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertNoForbiddenOperators(item, `${path}[${index}]`));
+    return;
+  }
+
+  for (const [key, nested] of Object.entries(value)) {
+    if (FORBIDDEN_OPERATORS.includes(key)) {
+      throw new ApiError(400, `Query operator not allowed: ${key}`, { operator: key, path: path || '(root)' });
+    }
+    assertNoForbiddenOperators(nested, path ? `${path}.${key}` : key);
+  }
+}
+
+/**
+ * Validate a find/delete filter
+ * @param {object} filter - MongoDB filter from the client
+ * @returns {object} The same filter if it is safe
+ * @throws {ApiError} 400 if the filter is invalid or uses forbidden operators
+ */
+function guardFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ApiError(400, 'Filter must be an object');
+  }
+  assertNoForbiddenOperators(filter, '');
+  return filter;
+}
+
+/**
+ * Get the collection a lookup-like stage reads from
+ * @param {string} stageName - $lookup | $graphLookup | $unionWith
+ * @param {*} spec - Stage specification
+ * @returns {*} Collection name (or the raw value if not a string)
+ */
+function getLookupTarget(stageName, spec) {
+  if (stageName === '$unionWith') {
+    return typeof spec === 'string' ? spec : spec?.coll;
+  }
+  return spec?.from;
+}
+
+/**
+ * End a pipeline with the $limit cap
+ * An earlier $limit is not enough: $unwind, $lookup and $unionWith after it can multiply documents
+ * @param {object[]} pipeline - Guarded pipeline (mutated, its $limit values already capped)
+ * @returns {object[]} The same pipeline
+ */
+function ensureLimit(pipeline) {
+  const last = pipeline[pipeline.length - 1];
+  if (!last || last.$limit === undefined) {
+    pipeline.push({ $limit: MAX_PIPELINE_LIMIT });
+  }
+  return pipeline;
+}
+
+/**
+ * Validate the stages of a pipeline (recursive for sub-pipelines)
+ * Sub-pipelines of $lookup, $unionWith and $facet end with the same $limit cap as the top level
+ * @param {object[]} pipeline - Pipeline stages
+ * @param {string} database - Database the pipeline runs on
+ * @param {string} path - Current path (for error messages)
+ * @returns {object[]} Pipeline with $limit values capped
+ */
+function guardStages(pipeline, database, path) {
+  if (!Array.isArray(pipeline)) {
+    throw new ApiError(400, `Pipeline must be an array at ${path || '(root)'}`);
+  }
+
+  return pipeline.map((stage, index) => {
+    const stagePath = `${path}[${index}]`;
+
+    if (!stage || typeof stage !== 'object' || Array.isArray(stage) || Object.keys(stage).length !== 1) {
+      throw new ApiError(400, `Invalid pipeline stage at ${stagePath}`, { index });
+    }
+
+    const [stageName] = Object.keys(stage);
+    const spec = stage[stageName];
+
+    if (FORBIDDEN_STAGES.includes(stageName)) {
+      throw new ApiError(400, `Aggregation stage not allowed: ${stageName}`, { stage: stageName, path: stagePath });
+    }
+
+    if (LOOKUP_STAGES.includes(stageName)) {
+      const target = getLookupTarget(stageName, spec);
+
+      // { from: { db, coll } } reads from another database
+      if (typeof target !== 'string') {
+        throw new ApiError(400, `Cross-database ${stageName} is not allowed`, { stage: stageName, path: stagePath });
+      }
+      if (!isOperationAllowed(database, target, 'read')) {
+        throw new ApiError(400, `${stageName} into ${database}/${target} is not allowed`, { stage: stageName, path: stagePath });
+      }
+    }
+
+    assertNoForbiddenOperators(spec, `${stagePath}.${stageName}`);
+
+    // Sub-pipelines: a join without one gets a pipeline with the cap (localField + pipeline needs MongoDB 5.0+)
+    if (stageName === '$lookup' || stageName === '$unionWith') {
+      const options = typeof spec === 'string' ? { coll: spec } : spec;
+      const pipeline = options.pipeline === undefined
+        ? []
+        : guardStages(options.pipeline, database, `${stagePath}.${stageName}.pipeline`);
+      return { [stageName]: { ...options, pipeline: ensureLimit(pipeline) } };
+    }
+    if (stageName === '$facet' && spec && typeof spec === 'object') {
+      const facets = {};
+      for (const [name, subPipeline] of Object.entries(spec)) {
+        facets[name] = ensureLimit(guardStages(subPipeline, database, `${stagePath}.$facet.${name}`));
+      }
+      return { $facet: facets };
+    }
+
+    if (stageName === '$limit') {
+      const limit = Number(spec);
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new ApiError(400, `Invalid $limit at ${stagePath}`, { stage: '$limit', path: stagePath });
+      }
+      return { $limit: Math.min(limit, MAX_PIPELINE_LIMIT) };
+    }
+
+    return stage;
+  });
+}
+
+/**
+ * Validate a client aggregation pipeline
+ * Caps $limit and ends every pipeline (and sub-pipeline) with one
+ * @param {object[]} pipeline - Pipeline from the client
+ * @param {string} database - Database the pipeline runs on
+ * @returns {object[]} Safe pipeline
+ * @throws {ApiError} 400 naming the rejected stage or operator
+ */
+function guardPipeline(pipeline, database) {
+  return ensureLimit(guardStages(pipeline, database, 'pipeline'));
+}
+
+module.exports = {
+  MAX_PIPELINE_LIMIT,
+  QUERY_MAX_TIME_MS,
+  guardFilter,
+  guardPipeline
+};
@@ -0,0 +1,55 @@
+/**
+ * Refunds utility
+ * Refund records linked to cancelled orders and cancelled line items
+ *
+ * Refund document (utiles/refunds):
+ * - orderId, orderNumber, type: 'full' | 'partial', reason, note
+ * - amount, items: cancelled lines (partial refunds)
+ * - status: 'pending' (paid order, money to return) | 'completed' (returned by the provider) |
+ *           'not_required' (order was not paid)
+ * - payment: { provider, paymentId } when the order was paid online
+ */
+
+const { getCollection } = require('../config/database');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'refunds';
+
+const REFUND_STATUSES = ['pending', 'completed', 'not_required'];
+
+/**
+ * Create the refund record of a cancellation
+ * @param {object} order - Order before the cancellation
+ * @param {object} refund - { type, amount, reason, note, items, status, actor }
+ *   status defaults to 'pending' for paid orders and 'not_required' otherwise
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<object>} Refund document
+ */
+async function createRefund(order, { type, amount, reason, note = null, items = null, status = null, actor = null }, session = null) {
+  const paid = order.paymentStatus === 'approved';
+  const refund = {
+    orderId: order._id,
+    orderNumber: order.orderNumber || null,
+    type,
+    reason,
+    note,
+    amount: Math.max(0, Math.round((amount || 0) * 100) / 100),
+    ...(items && { items }),
+    status: status || (paid ? 'pending' : 'not_required'),
+    ...(order.payment?.paymentId && {
+      payment: { provider: order.payment.provider, paymentId: order.payment.paymentId }
+    }),
+    actor,
+    version: 1,
+    createdAt: new Date()
+  };
+
+  const result = await getCollection(DATABASE, COLLECTION).insertOne(refund, { session });
+  refund._id = result.insertedId;
+  return refund;
+}
+
+module.exports = {
+  REFUND_STATUSES,
+  createRefund
+};
@@ -0,0 +1,235 @@
+/**
+ * Revisions utility
+ * Field-level history of documents in <database>/documentRevisions
+ *
+ * Revision document:
+ * - collection, documentId, revision (1, 2, 3... per document)
+ * - operation: 'create' | 'update' | 'delete' (hard) | 'trash' | 'restore' | 'revert'
+ * - changes: [{ field, from, to }] (from/to missing = the field did not exist)
+ * - actor, requestId, revertedTo (revert), createdAt
+ */
+
+const { BSON } = require('mongodb');
+const { getCollection } = require('../config/database');
+
+const COLLECTION = 'documentRevisions';
+
+// Attempts to number a revision when concurrent writes take the same number
+const MAX_ATTEMPTS = 5;
+
+// Fields that change on every write and add nothing to the history (a revert does not roll back the version)
+const IGNORED_FIELDS = ['_id', 'updatedAt', 'version'];
+
+/**
+ * Check for a plain object (not an array, date or BSON value)
+ * @param {*} value - Value
+ * @returns {boolean} True if plain object
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value._bsontype;
+}
+
+/**
+ * Deep equality of two stored values
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === undefined || b === undefined || a === null || b === null) return false;
+  return BSON.EJSON.stringify(a) === BSON.EJSON.stringify(b);
+}
+
+/**
+ * Field-level differences between two versions of a document
+ * Nested objects are compared field by field (dotted paths); arrays as a whole
+ * @param {object} before - Previous version ({} if it did not exist)
+ * @param {object} after - New version ({} if it was deleted)
+ * @param {string} prefix - Path of the objects (internal)
+ * @returns {object[]} [{ field, from, to }]
+ */
+function diffDocuments(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  keys.forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+    const field = prefix ? `${prefix}.${key}` : key;
+    const hasBefore = Object.prototype.hasOwnProperty.call(before, key);
+    const hasAfter = Object.prototype.hasOwnProperty.call(after, key);
+
+    if (hasBefore && hasAfter && isPlainObject(before[key]) && isPlainObject(after[key])) {
+      changes.push(...diffDocuments(before[key], after[key], field));
+    } else if (hasBefore !== hasAfter || !isEqual(before[key], after[key])) {
+      changes.push({
+        field,
+        ...(hasBefore && { from: before[key] }),
+        ...(hasAfter && { to: after[key] })
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Next revision number of each document (one query)
+ * @param {Collection} col - Revisions collection
+ * @param {string} collection - Collection name
+ * @param {object[]} entries - Entries with documentId
+ * @param {ClientSession} session - Optional session
+ * @returns {Promise<Map<string, number>>} documentId → last revision
+ */
+async function getLastRevisions(col, collection, entries, session) {
+  const latest = await col.aggregate([
+    { $match: { collection, documentId: { $in: entries.map(entry => entry.documentId) } } },
+    { $group: { _id: '$documentId', revision: { $max: '$revision' } } }
+  ], { session }).toArray();
+  return new Map(latest.map(doc => [String(doc._id), doc.revision]));
+}
+
+/**
+ * Record revisions for written documents
+ * Revisions without changes are skipped (except create/delete).
+ * Numbers come from the latest revision: when a concurrent write took the same number
+ * (duplicate key on the unique index) the failed revisions are numbered again and retried.
+ * Inside a transaction the conflict aborts it and withTransaction retries the whole write.
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @param {object[]} entries - [{ documentId, operation, before, after, revertedTo }]
+ * @param {object} context - { actor, requestId }
+ * @param {ClientSession} session - Optional session (same transaction as the write)
+ * @returns {Promise<number>} Revisions recorded
+ * @throws {Error} If the revisions could not be stored
+ */
+async function recordRevisions(database, collection, entries, { actor = null, requestId = null } = {}, session = null) {
+  let pending = entries
+    .map(entry => ({ ...entry, changes: diffDocuments(entry.before || {}, entry.after || {}) }))
+    .filter(entry => entry.changes.length > 0 || ['create', 'delete'].includes(entry.operation));
+  if (pending.length === 0) return 0;
+
+  const col = getCollection(database, COLLECTION);
+  const now = new Date();
+  let recorded = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    const lastRevision = await getLastRevisions(col, collection, pending, session);
+    const revisions = pending.map(entry => {
+      const revision = (lastRevision.get(String(entry.documentId)) || 0) + 1;
+      lastRevision.set(String(entry.documentId), revision);
+      return {
+        collection,
+        documentId: entry.documentId,
+        revision,
+        operation: entry.operation,
+        changes: entry.changes,
+        actor,
+        requestId,
+        ...(entry.revertedTo && { revertedTo: entry.revertedTo }),
+        createdAt: now
+      };
+    });
+
+    try {
+      await col.insertMany(revisions, { session, ordered: false });
+      return recorded + revisions.length;
+    } catch (error) {
+      const writeErrors = [].concat(error.writeErrors || []);
+      const duplicates = writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === 11000);
+      if (session || !duplicates || attempt >= MAX_ATTEMPTS) {
+        console.error(`[Historial] No se pudieron guardar revisiones de ${database}/${collection}:`, error.message);
+        throw error;
+      }
+
+      const failed = new Set(writeErrors.map(writeError => writeError.index));
+      recorded += revisions.length - failed.size;
+      pending = pending.filter((entry, index) => failed.has(index));
+    }
+  }
+}
+
+/**
+ * Revisions of a document, newest first
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @param {*} documentId - Document _id
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<{revisions: object[], total: number}>}
+ */
+async function getRevisions(database, collection, documentId, { skip = 0, limit = 50 } = {}) {
+  const col = getCollection(database, COLLECTION);
+  const filter = { collection, documentId };
+  const [revisions, total] = await Promise.all([
+    col.find(filter).sort({ revision: -1 }).skip(skip).limit(limit).toArray(),
+    col.countDocuments(filter)
+  ]);
+  return { revisions, total };
+}
+
+/**
+ * Set or remove a dotted path in a document
+ * @param {object} doc - Document (mutated)
+ * @param {string} field - Dotted path
+ * @param {object} change - Change whose "from" value is restored (missing from = remove)
+ */
+function undoChange(doc, field, change) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  let node = doc;
+  for (const key of keys) {
+    if (!isPlainObject(node[key])) {
+      if (!('from' in change)) return;
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  if ('from' in change) {
+    node[last] = change.from;
+  } else {
+    delete node[last];
+  }
+}
+
+/**
+ * Rebuild a document as it was right after a revision
+ * Undoes, newest first, every revision recorded after it
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @param {*} documentId - Document _id
+ * @param {object|null} current - Current document (null if it was deleted)
+ * @param {number} revision - Revision number
+ * @returns {Promise<{target: object|null, found: boolean}>} Document at that revision (null = did not exist)
+ */
+async function getDocumentAtRevision(database, collection, documentId, current, revision) {
+  const col = getCollection(database, COLLECTION);
+  const exists = await col.countDocuments({ collection, documentId, revision }, { limit: 1 });
+  if (!exists) return { target: null, found: false };
+
+  const later = await col.find({ collection, documentId, revision: { $gt: revision } }).sort({ revision: -1 }).toArray();
+
+  // Without a current document it can only be rebuilt from a recorded delete (not from the trash purge)
+  if (!current && later[0]?.operation !== 'delete') return { target: null, found: true };
+
+  let target = current ? BSON.EJSON.deserialize(BSON.EJSON.serialize(current)) : null;
+  for (const entry of later) {
+    if (entry.operation === 'create') {
+      target = null;
+      continue;
+    }
+    if (entry.operation === 'delete') {
+      target = {};
+    }
+    if (!target) target = {};
+    entry.changes.forEach(change => undoChange(target, change.field, change));
+  }
+
+  return { target, found: true };
+}
+
+module.exports = {
+  diffDocuments,
+  recordRevisions,
+  getRevisions,
+  getDocumentAtRevision
+};
@@ -0,0 +1,187 @@
+/**
+ * Session utility
+ * Server-side sessions backing the signed bearer tokens
+ */
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/database');
+const cache = require('../cache/cacheManager');
+const token = require('./token');
+
+const DATABASE = 'utiles';
+const COLLECTION = 'sessions';
+
+const ACCESS_TOKEN_TTL_SECONDS = (parseInt(process.env.AUTH_TOKEN_TTL_MINUTES) || 60) * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.AUTH_REFRESH_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Active sessions are cached briefly to avoid a lookup on every request
+const SESSION_CACHE_TTL = 60 * 1000;
+
+/**
+ * Hash a refresh token before storing it
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Issue an access token for a user and session
+ * @param {object} user - User document
+ * @param {ObjectId} sessionId - Session ID
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function issueAccessToken(user, sessionId) {
+  const accessToken = token.sign({
+    sub: user._id.toString(),
+    role: user.role,
+    name: user.name || null,
+    email: user.email,
+    sid: sessionId.toString()
+  }, ACCESS_TOKEN_TTL_SECONDS);
+
+  return {
+    token: accessToken,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000)
+  };
+}
+
+/**
+ * Create a session for a user
+ * @param {object} user - User document
+ * @param {object} meta - { userAgent, ip }
+ * @returns {Promise<{token: string, expiresAt: Date, refreshToken: string}>}
+ */
+async function createSession(user, meta = {}) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const now = new Date();
+
+  const result = await col.insertOne({
+    userId: user._id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null
+  });
+
+  return {
+    ...issueAccessToken(user, result.insertedId),
+    refreshToken
+  };
+}
+
+/**
+ * Rotate a refresh token and issue a new access token
+ * @param {string} refreshToken - Current refresh token
+ * @param {function} loadUser - async (userId) => user document
+ * @returns {Promise<object|null>} New tokens and user, or null if invalid
+ */
+async function refreshSession(refreshToken, loadUser) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+  const now = new Date();
+
+  // Rotation is atomic: a refresh token can only be used once
+  const session = await col.findOneAndUpdate(
+    {
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshToken(nextRefreshToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!session) return null;
+
+  const user = await loadUser(session.userId);
+  if (!user || user.active === false) {
+    await revokeSession(session._id);
+    return null;
+  }
+
+  return {
+    ...issueAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    user
+  };
+}
+
+/**
+ * Revoke a session
+ * @param {string|ObjectId} sessionId - Session ID
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession(sessionId) {
+  if (!ObjectId.isValid(sessionId)) return false;
+
+  const col = getCollection(DATABASE, COLLECTION);
+  const result = await col.updateOne(
+    { _id: new ObjectId(sessionId), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  cache.del(`auth:session:${sessionId}`);
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user (role or access changed)
+ * Access tokens carry the role, so the user has to sign in again to get the new one
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function revokeUserSessions(userId) {
+  const col = getCollection(DATABASE, COLLECTION);
+  const sessions = await col.find({ userId, revokedAt: null }, { projection: { _id: 1 } }).toArray();
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  const result = await col.updateMany({ _id: { $in: ids }, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+  ids.forEach(id => cache.del(`auth:session:${id}`));
+  return result.modifiedCount;
+}
+
+/**
+ * Check if a session is still active
+ * @param {string} sessionId - Session ID from the token
+ * @returns {Promise<boolean>} True if active
+ */
+async function isSessionActive(sessionId) {
+  if (!ObjectId.isValid(sessionId)) return false;
+
+  const cacheKey = `auth:session:${sessionId}`;
+  if (cache.get(cacheKey)) return true;
+
+  const col = getCollection(DATABASE, COLLECTION);
+  const session = await col.findOne(
+    { _id: new ObjectId(sessionId), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { projection: { _id: 1 } }
+  );
+
+  if (session) {
+    cache.set(cacheKey, true, SESSION_CACHE_TTL);
+  }
+  return !!session;
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,308 @@
+/**
+ * Spreadsheet utility
+ * Flattens documents into rows and streams them as CSV, XLSX or NDJSON,
+ * and reads uploaded CSV/XLSX files back into rows
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { ObjectId } = require('mongodb');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+// Values of arrays of objects in one cell (items.refid = "001 | 002")
+const ARRAY_SEPARATOR = ' | ';
+
+/**
+ * Cell value of a scalar
+ * @param {*} value - Value
+ * @returns {*} String, number, boolean, Date or null
+ */
+function toCellValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof ObjectId) return value.toString();
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Flatten a document into { 'dotted.path': value }
+ * - nested objects: totals.total, address.city
+ * - arrays of scalars: one cell joined with ", "
+ * - arrays of objects: one column per subfield with the values joined in order (items.refid, items.quantity)
+ * @param {object} doc - Document
+ * @param {string} prefix - Path of doc (internal)
+ * @param {object} row - Accumulator (internal)
+ * @returns {object} Flat row
+ */
+function flattenDocument(doc, prefix = '', row = {}) {
+  for (const [key, value] of Object.entries(doc)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (Array.isArray(value)) {
+      if (value.some(item => item && typeof item === 'object' && !(item instanceof Date) && !(item instanceof ObjectId))) {
+        const columns = {};
+        value.forEach((item, index) => {
+          const flat = item && typeof item === 'object' ? flattenDocument(item) : { '': item };
+          Object.entries(flat).forEach(([subPath, subValue]) => {
+            const column = subPath ? `${path}.${subPath}` : path;
+            columns[column] = columns[column] || Array(value.length).fill('');
+            columns[column][index] = subValue === null ? '' : formatCsvValue(subValue);
+          });
+        });
+        Object.entries(columns).forEach(([column, values]) => { row[column] = values.join(ARRAY_SEPARATOR); });
+      } else {
+        row[path] = value.map(item => formatCsvValue(toCellValue(item))).join(', ');
+      }
+    } else if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId)) {
+      flattenDocument(value, path, row);
+    } else {
+      row[path] = toCellValue(value);
+    }
+  }
+  return row;
+}
+
+/**
+ * Text of a cell value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Escape a CSV field
+ * Text starting with = + - @ tab or carriage return is prefixed with ' so spreadsheets don't run it as a formula
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value, delimiter) {
+  let text = formatCsvValue(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Column list for an export
+ * Uses the requested fields when given, otherwise every column found in the sample rows
+ * @param {object[]} rows - Flat sample rows
+ * @param {string[]} fields - Requested fields (?fields=)
+ * @returns {string[]} Columns
+ */
+function getColumns(rows, fields = []) {
+  const found = [];
+  rows.forEach(row => Object.keys(row).forEach(column => {
+    if (!found.includes(column)) found.push(column);
+  }));
+  if (fields.length === 0) return found;
+
+  // A requested field includes its subfields (fields=totals → totals.subtotal, totals.total)
+  return fields.flatMap(field => {
+    const matches = found.filter(column => column === field || column.startsWith(`${field}.`));
+    return matches.length > 0 ? matches : [field];
+  });
+}
+
+/**
+ * Write to a stream respecting backpressure
+ * @param {Writable} stream - Destination
+ * @param {string} chunk - Data
+ */
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Stream documents to a writable stream
+ * Columns are taken from the first sampleSize documents (or from fields)
+ * @param {AsyncIterable<object>} cursor - MongoDB cursor
+ * @param {Writable} stream - Destination (Express response)
+ * @param {object} options - { format, fields, delimiter, sampleSize, sheetName }
+ * @returns {Promise<number>} Rows written
+ */
+async function streamDocuments(cursor, stream, { format, fields = [], delimiter = ',', sampleSize = 200, sheetName = 'Datos' }) {
+  if (format === 'ndjson') {
+    let count = 0;
+    for await (const doc of cursor) {
+      await write(stream, `${JSON.stringify(doc)}\n`);
+      count++;
+    }
+    stream.end();
+    return count;
+  }
+
+  // First rows kept in memory only to find the columns
+  const sample = [];
+  const iterator = cursor[Symbol.asyncIterator]();
+  let next = await iterator.next();
+  while (!next.done && sample.length < sampleSize) {
+    sample.push(flattenDocument(next.value));
+    next = await iterator.next();
+  }
+  const columns = getColumns(sample, fields);
+
+  async function * rows() {
+    yield * sample;
+    while (!next.done) {
+      yield flattenDocument(next.value);
+      next = await iterator.next();
+    }
+  }
+
+  let count = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map(column => ({ header: column, key: column, width: Math.min(40, Math.max(12, column.length + 2)) }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+    for await (const row of rows()) {
+      worksheet.addRow(columns.map(column => row[column] ?? null)).commit();
+      count++;
+    }
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  // CSV with BOM so Excel reads accents and ñ correctly
+  await write(stream, `\uFEFF${columns.map(column => escapeCsvField(column, delimiter)).join(delimiter)}\r\n`);
+  for await (const row of rows()) {
+    await write(stream, `${columns.map(column => escapeCsvField(row[column], delimiter)).join(delimiter)}\r\n`);
+    count++;
+  }
+  stream.end();
+  return count;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Quoted fields may contain the delimiter, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]} Rows
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Plain value of an XLSX cell (formulas, rich text and links resolved)
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} String, number, boolean, Date or null
+ */
+function fromXlsxValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return fromXlsxValue(value.result);
+  if ('text' in value) return value.text;
+  return null;
+}
+
+/**
+ * Read an uploaded CSV or XLSX file (first sheet) into objects keyed by the header row
+ * CSV: UTF-8 (with or without BOM), delimiter , ; or tab detected from the header
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' | 'xlsx'
+ * @returns {Promise<{columns: string[], rows: object[]}>} Header and rows { line, values } (empty rows skipped)
+ */
+async function readSpreadsheet(buffer, format) {
+  let table;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    table = [];
+    if (worksheet) {
+      worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        table[rowNumber - 1] = row.values.slice(1).map(fromXlsxValue);
+      });
+    }
+  } else {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = Object.values(CSV_DELIMITERS)
+      .reduce((best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+    table = parseCsv(text, delimiter);
+  }
+
+  const [header = [], ...lines] = table;
+  const columns = header.map(column => (column === null || column === undefined ? '' : String(column).trim()));
+  const rows = [];
+
+  lines.forEach((cells, index) => {
+    if (!cells || cells.every(cell => cell === null || cell === undefined || String(cell).trim() === '')) return;
+    const values = {};
+    columns.forEach((column, position) => {
+      if (column) values[column] = cells[position] ?? null;
+    });
+    rows.push({ line: index + 2, values });
+  });
+
+  return { columns: columns.filter(Boolean), rows };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_DELIMITERS,
+  flattenDocument,
+  streamDocuments,
+  readSpreadsheet
+};
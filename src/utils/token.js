@@ -0,0 +1,81 @@
+/**
+ * Signed Token utility
+ * Compact HMAC-SHA256 tokens: base64url(payload).base64url(signature)
+ */
+
+const crypto = require('crypto');
+
+// Default token lifetime: 1 hour
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+/**
+ * Get the signing secret
+ * @returns {string|null} Secret or null if not configured
+ */
+function getSecret() {
+  return process.env.AUTH_TOKEN_SECRET || null;
+}
+
+/**
+ * Compute the signature for an encoded payload
+ * @param {string} encodedPayload - base64url payload
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url signature
+ */
+function computeSignature(encodedPayload, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Sign a payload
+ * @param {object} payload - Data to embed (sub, role, ...)
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function sign(payload, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error('AUTH_TOKEN_SECRET environment variable is not defined');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const body = { ...payload, iat: now, exp: now + ttlSeconds };
+  const encodedPayload = Buffer.from(JSON.stringify(body)).toString('base64url');
+
+  return `${encodedPayload}.${computeSignature(encodedPayload, secret)}`;
+}
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token - Signed token
+ * @returns {object|null} Payload or null if invalid/expired
+ */
+function verify(token) {
+  const secret = getSecret();
+  if (!secret || !token || typeof token !== 'string') return null;
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(computeSignature(encodedPayload, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  sign,
+  verify
+};
@@ -0,0 +1,104 @@
+/**
+ * Trash utility
+ * Soft delete for collections registered with softDelete: true
+ * Deleted documents keep deletedAt/deletedBy and are purged after the retention period
+ */
+
+const { getCollection } = require('../config/database');
+const cache = require('../cache/cacheManager');
+const { COLLECTIONS } = require('../config/collections');
+
+// Days in the trash when the collection does not set retentionDays
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// How often the trash is purged
+const PURGE_INTERVAL = (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Check if a collection uses soft delete
+ * @param {object|null} config - Registry entry
+ * @returns {boolean} True if enabled
+ */
+function isSoftDelete(config) {
+  return !!config && config.softDelete === true;
+}
+
+/**
+ * Days a deleted document stays in the trash
+ * @param {object} config - Registry entry
+ * @returns {number} Days
+ */
+function getRetentionDays(config) {
+  return config.retentionDays > 0 ? config.retentionDays : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Restrict a filter to documents that are not in the trash
+ * A filter that already mentions deletedAt is left as is
+ * @param {object} filter - MongoDB filter (mutated)
+ * @returns {object} Filter
+ */
+function excludeDeleted(filter) {
+  if (!('deletedAt' in filter)) {
+    filter.deletedAt = null;
+  }
+  return filter;
+}
+
+/**
+ * Restrict an aggregation pipeline to documents that are not in the trash
+ * Stages that must run first ($geoNear, $search...) stay first
+ * @param {object[]} pipeline - Pipeline
+ * @returns {object[]} New pipeline
+ */
+function excludeDeletedFromPipeline(pipeline) {
+  const firstStage = Object.keys(pipeline[0] || {})[0];
+  const position = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'].includes(firstStage) ? 1 : 0;
+  return [...pipeline.slice(0, position), { $match: { deletedAt: null } }, ...pipeline.slice(position)];
+}
+
+/**
+ * Hard-delete documents whose retention period is over
+ * @returns {Promise<number>} Documents purged
+ */
+async function purgeExpiredTrash() {
+  let purged = 0;
+
+  for (const [database, collections] of Object.entries(COLLECTIONS)) {
+    for (const [collection, config] of Object.entries(collections)) {
+      if (!isSoftDelete(config)) continue;
+
+      const cutoff = new Date(Date.now() - getRetentionDays(config) * 24 * 60 * 60 * 1000);
+      const result = await getCollection(database, collection).deleteMany({ deletedAt: { $lt: cutoff } });
+
+      if (result.deletedCount > 0) {
+        purged += result.deletedCount;
+        cache.invalidatePattern(`${database}/${collection}`);
+        console.log(`[Trash] ${database}/${collection}: ${result.deletedCount} documents permanently deleted`);
+      }
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Start the periodic trash purge
+ */
+function startTrashPurge() {
+  const run = () => purgeExpiredTrash().catch(error =>
+    console.error('[Trash] Error purging the trash:', error.message)
+  );
+
+  run();
+  setInterval(run, PURGE_INTERVAL);
+}
+
+module.exports = {
+  isSoftDelete,
+  getRetentionDays,
+  excludeDeleted,
+  excludeDeletedFromPipeline,
+  purgeExpiredTrash,
+  startTrashPurge
+};
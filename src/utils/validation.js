@@ -4,6 +4,19 @@
  */
 
 const { ObjectId } = require('mongodb');
+const { getSchema } = require('../config/schemas');
+
+/**
+ * Validation error with per-field details
+ * Handled by errorHandler (400 with details = errors)
+ */
+class ValidationError extends Error {
+  constructor(errors, message = 'Validation error') {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
 
 /**
  * Validate MongoDB ObjectId
@@ -91,10 +104,185 @@ function validateRequiredFields(obj, requiredFields) {
   };
 }
 
+/**
+ * Check if a value counts as missing
+ * @param {*} value - Value to check
+ * @returns {boolean} True if undefined, null or empty string
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    case 'date':
+      return (value instanceof Date || typeof value === 'string') && !isNaN(new Date(value).getTime());
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a single value against a field rule
+ * @param {*} value - Value to validate
+ * @param {object} rule - Field rule
+ * @param {string} path - Field path for error messages
+ * @param {object[]} errors - Accumulated errors
+ */
+function validateField(value, rule, path, errors) {
+  if (isEmpty(value)) {
+    if (rule.required) errors.push({ field: path, message: 'is required' });
+    return;
+  }
+
+  if (rule.type && !matchesType(value, rule.type)) {
+    errors.push({ field: path, message: `must be of type ${rule.type}` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (rule.integer && !Number.isInteger(value)) {
+      errors.push({ field: path, message: 'must be an integer' });
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field: path, message: `must be >= ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field: path, message: `must be <= ${rule.max}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({ field: path, message: `must contain at least ${rule.minItems} item(s)` });
+    }
+    if (rule.items) {
+      value.forEach((item, index) => validateField(item, rule.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (rule.properties && matchesType(value, 'object')) {
+    validateObject(value, rule.properties, `${path}.`, errors);
+  }
+}
+
+/**
+ * Validate all fields of an object against a set of rules
+ * @param {object} obj - Object to validate
+ * @param {object} properties - Field rules
+ * @param {string} prefix - Path prefix for error messages
+ * @param {object[]} errors - Accumulated errors
+ */
+function validateObject(obj, properties, prefix, errors) {
+  const required = Object.keys(properties).filter(field => properties[field].required);
+  const { missing } = validateRequiredFields(obj, required);
+  missing.forEach(field => errors.push({ field: `${prefix}${field}`, message: 'is required' }));
+
+  for (const [field, rule] of Object.entries(properties)) {
+    if (missing.includes(field)) continue;
+    validateField(obj[field], rule, `${prefix}${field}`, errors);
+  }
+}
+
+/**
+ * Resolve the rule for a (possibly dotted) field path
+ * e.g. "items.0.quantity" -> schema.items.items.properties.quantity
+ * @param {object} schema - Collection schema
+ * @param {string} path - Field path
+ * @returns {object|null} Rule or null if the path is not in the schema
+ */
+function resolveRule(schema, path) {
+  const segments = path.split('.');
+  let rule = schema[segments[0]] || null;
+
+  for (const segment of segments.slice(1)) {
+    if (!rule) return null;
+    if (rule.type === 'array' && /^\d+$/.test(segment)) {
+      rule = rule.items || null;
+    } else {
+      rule = rule.properties?.[segment] || null;
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Validate a document against a schema
+ * @param {object} doc - Document (or $set fields when partial)
+ * @param {object} schema - Collection schema
+ * @param {object} options - { partial: only validate present fields, unset: fields being removed }
+ * @returns {object[]} List of { field, message } errors
+ */
+function validateDocument(doc, schema, { partial = false, unset = null } = {}) {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    errors.push({ field: '(root)', message: 'must be an object' });
+    return errors;
+  }
+
+  if (!partial) {
+    validateObject(doc, schema, '', errors);
+  } else {
+    for (const [path, value] of Object.entries(doc)) {
+      const rule = resolveRule(schema, path);
+      if (rule) validateField(value, rule, path, errors);
+    }
+  }
+
+  // Removing a required field is never allowed
+  for (const path of Object.keys(unset || {})) {
+    const rule = resolveRule(schema, path);
+    if (rule?.required) errors.push({ field: path, message: 'is required and cannot be removed' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a document for a database/collection, throwing on failure
+ * @param {string} database - Database name
+ * @param {string} collection - Collection name
+ * @param {object} doc - Document or partial update
+ * @param {object} options - See validateDocument
+ * @throws {ValidationError} If the document is invalid
+ */
+function assertValidDocument(database, collection, doc, options = {}) {
+  const errors = validateDocument(doc, getSchema(database, collection), options);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
 module.exports = {
+  ValidationError,
   isValidObjectId,
   isValidDatabaseName,
   isValidCollectionName,
   sanitizeObject,
-  validateRequiredFields
+  validateRequiredFields,
+  validateDocument,
+  assertValidDocument
 };
@@ -0,0 +1,113 @@
+/**
+ * Versioning utility
+ * Optimistic concurrency: documents carry a version number (1 on insert, +1 on every write)
+ * exposed as the ETag. A PUT/PATCH with If-Match only applies to the version the client read.
+ * Documents written before versioning have no version field and count as version 0.
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Version of a document
+ * @param {object} doc - Document
+ * @returns {number} Version (0 if it has none)
+ */
+function getVersion(doc) {
+  return Number.isInteger(doc?.version) && doc.version > 0 ? doc.version : 0;
+}
+
+/**
+ * ETag of a document (strong: the version identifies the whole document)
+ * @param {object} doc - Document
+ * @returns {string} ETag, e.g. "3"
+ */
+function getETag(doc) {
+  return `"${getVersion(doc)}"`;
+}
+
+/**
+ * Error for a write whose If-Match no longer matches the stored version
+ * The error handler answers 412 with the current document and its ETag
+ */
+class VersionConflictError extends ApiError {
+  constructor(document) {
+    super(412, 'Document was modified since you read it. Reload it and apply your changes again', {
+      version: getVersion(document)
+    });
+    this.name = 'VersionConflictError';
+    this.document = document;
+    this.etag = getETag(document);
+  }
+}
+
+/**
+ * Entity tags of an If-Match / If-None-Match header
+ * Weak tags (W/"3") are compared as strong ones, proxies may weaken them
+ * @param {string|undefined} header - Header value
+ * @returns {string[]|string|null} Tags, '*' or null if the header is missing
+ */
+function parseETags(header) {
+  if (!header || !header.trim()) return null;
+  if (header.trim() === '*') return '*';
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+/**
+ * Versions accepted by the If-Match header of a write
+ * @param {object} req - Express request
+ * @returns {number[]|null} Versions, or null if the write is unconditional (no header or *)
+ */
+function getExpectedVersions(req) {
+  const tags = parseETags(req.get('If-Match'));
+  if (tags === null || tags === '*') return null;
+
+  // A tag that is not a version never matches: the write ends in 412
+  return tags
+    .map(tag => /^"(\d+)"$/.exec(tag))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]));
+}
+
+/**
+ * Filter that only matches the expected versions (merged with the _id filter)
+ * @param {number[]|null} expected - Result of getExpectedVersions
+ * @returns {object} MongoDB filter ({} for unconditional writes)
+ */
+function versionFilter(expected) {
+  if (!expected) return {};
+  // Version 0 = document without a version field (null also matches the missing field)
+  return { version: { $in: expected.map(version => (version > 0 ? version : null)) } };
+}
+
+/**
+ * Check a document read inside a transaction against If-Match
+ * @param {object} doc - Current document
+ * @param {number[]|null} expected - Result of getExpectedVersions
+ * @throws {VersionConflictError} If the version differs
+ */
+function assertVersion(doc, expected) {
+  if (expected && !expected.includes(getVersion(doc))) {
+    throw new VersionConflictError(doc);
+  }
+}
+
+/**
+ * Check If-None-Match against a document (conditional GET)
+ * @param {object} req - Express request
+ * @param {object} doc - Current document
+ * @returns {boolean} True if the client copy is current (304)
+ */
+function isNotModified(req, doc) {
+  const tags = parseETags(req.get('If-None-Match'));
+  return tags === '*' || (Array.isArray(tags) && tags.includes(getETag(doc)));
+}
+
+module.exports = {
+  VersionConflictError,
+  getVersion,
+  getETag,
+  getExpectedVersions,
+  versionFilter,
+  assertVersion,
+  isNotModified
+};